@@ -0,0 +1,90 @@
+#! /usr/bin/env node
+/**
+Replay a range of pushes through the full pipeline (utility script).
+*/
+
+import 'babel/polyfill';
+import loadConfig from '../config';
+import createRuntime from '../runtime';
+import backfill from '../pushlog/backfill';
+
+import { ArgumentParser } from 'argparse';
+
+async function run(fn) {
+  let parser = new ArgumentParser();
+  parser.addArgument(['profile'], {
+    help: 'Configuration profile to use'
+  });
+
+  parser.addArgument(['repo'], {
+    help: 'Repository alias'
+  });
+
+  parser.addArgument(['start'], {
+    help: 'First pushlog id to replay',
+    type: 'int'
+  });
+
+  parser.addArgument(['end'], {
+    help: 'Last pushlog id to replay',
+    type: 'int'
+  });
+
+  parser.addArgument(['--skip-publish'], {
+    help: 'Do not schedule publish-push jobs',
+    action: 'storeTrue'
+  });
+
+  parser.addArgument(['--skip-resultset'], {
+    help: 'Do not schedule treeherder-resultset jobs',
+    action: 'storeTrue'
+  });
+
+  parser.addArgument(['--skip-graph'], {
+    help: 'Do not create task graphs after creating resultsets',
+    action: 'storeTrue'
+  });
+
+  parser.addArgument(['--dry-run'], {
+    help: 'Only print what would be scheduled',
+    action: 'storeTrue'
+  });
+
+  parser.addArgument(['--rate-limit'], {
+    help: 'Maximum number of pushes to schedule per minute',
+    type: 'int',
+    defaultValue: 0
+  });
+
+  try {
+    let args = parser.parseArgs();
+    let config = await loadConfig(process.argv[2]);
+    let runtime = await createRuntime(config);
+
+    await fn(runtime, config, args);
+  } catch (err) {
+    setTimeout(() => {
+      throw err;
+    });
+  }
+}
+
+run(async function main(runtime, config, args) {
+  let [repo] = await runtime.repositories.find({ alias: args.repo });
+  if (!repo) {
+    throw new Error(`Unknown repository ${args.repo}`);
+  }
+
+  let scheduled = await backfill(runtime, repo, {
+    start: args.start,
+    end: args.end,
+    publish: !args.skip_publish,
+    resultset: !args.skip_resultset,
+    graph: !args.skip_graph,
+    dryRun: args.dry_run,
+    rateLimit: args.rate_limit
+  });
+
+  console.log(`Backfilled ${scheduled.length} pushes for ${repo.alias}`);
+  process.exit();
+});
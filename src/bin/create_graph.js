@@ -28,6 +28,16 @@ async function run(fn) {
     help: 'Treeherder revision hash'
   });
 
+  parser.addArgument(['--dry-run'], {
+    action: 'storeTrue',
+    help: 'Render the graph (and the scopes it would be authorized with) ' +
+          'without submitting it'
+  });
+
+  parser.addArgument(['--output'], {
+    help: 'File to write the dry run graph to (defaults to stdout)'
+  });
+
   try {
     let args = parser.parseArgs();
     let config = await loadConfig(process.argv[2]);
@@ -43,7 +53,7 @@ async function run(fn) {
 
 run(async function main(runtime, config, args) {
   let [repo] = await runtime.repositories.find({ alias: args.repo });
-  let { pushid, revision_hash } = args;
+  let { pushid, revision_hash, dry_run, output } = args;
 
   let job = new TaskclusterGraphJob({
     config: config,
@@ -54,7 +64,11 @@ run(async function main(runtime, config, args) {
     data: {
       pushref: { id: pushid },
       repo: repo,
-      revision_hash: revision_hash
+      revision_hash: revision_hash,
+      dryRun: dry_run,
+      output: output || undefined,
+      // Graphs created by hand are never delayed...
+      ignoreRateLimits: true
     }
   });
 
@@ -0,0 +1,69 @@
+#! /usr/bin/env node
+/**
+List (or mark as backfilled) ranges of pushes skipped by the monitor (utility
+script).
+*/
+
+import 'babel/polyfill';
+import loadConfig from '../config';
+import createRuntime from '../runtime';
+
+import { ArgumentParser } from 'argparse';
+
+async function run(fn) {
+  let parser = new ArgumentParser();
+  parser.addArgument(['profile'], {
+    help: 'Configuration profile to use'
+  });
+
+  parser.addArgument(['--repo'], {
+    help: 'Only list gaps for this repository alias'
+  });
+
+  parser.addArgument(['--all'], {
+    help: 'Include gaps which have been backfilled',
+    action: 'storeTrue'
+  });
+
+  parser.addArgument(['--backfilled'], {
+    help: 'Mark the gap with this id as backfilled',
+    metavar: 'ID'
+  });
+
+  try {
+    let args = parser.parseArgs();
+    let config = await loadConfig(process.argv[2]);
+    let runtime = await createRuntime(config);
+
+    await fn(runtime, config, args);
+  } catch (err) {
+    setTimeout(() => {
+      throw err;
+    });
+  }
+}
+
+run(async function main(runtime, config, args) {
+  if (args.backfilled) {
+    let gap = await runtime.gaps.markBackfilled(args.backfilled);
+    console.log(`Marked ${gap.id} as backfilled`);
+    process.exit();
+  }
+
+  let query = {};
+  if (args.repo) query.alias = args.repo;
+  if (!args.all) query.backfilled = false;
+
+  let gaps = await runtime.gaps.find(query);
+  gaps.sort((a, b) => a.detected - b.detected);
+
+  for (let gap of gaps) {
+    console.log(
+      `${gap.id} ${gap.alias} pushes ${gap.start}-${gap.end} ` +
+      `detected ${gap.detected.toJSON()}` +
+      (gap.backfilled ? ` (backfilled ${gap.backfilledAt.toJSON()})` : '')
+    );
+  }
+  console.log(`${gaps.length} gaps`);
+  process.exit();
+});
@@ -10,6 +10,15 @@ import packageInfo from '../../package.json';
 import request from 'superagent-promise';
 import urljoin from 'urljoin';
 
+/**
+Pushlog backend for a treeherder repository (or null if it cannot be polled).
+*/
+function repositoryType(thRepo) {
+  if (thRepo.url.indexOf('https://hg.mozilla.org') === 0) return 'hg';
+  if (thRepo.dvcs_type === 'git') return 'git';
+  return null;
+}
+
 cli(async function main(runtime, config) {
   let url = urljoin(config.treeherder.apiUrl, '/repository/');
   let userAgent = 'mozilla-taskcluster/' + packageInfo.version;
@@ -22,11 +31,9 @@ cli(async function main(runtime, config) {
   // Map the repositories into our internal structure...
   let seen = new Set();
   let repos = res.body.reduce((all, thRepo) => {
-    // Skip any non-hg urls we don't poll these at least not right now...
-    if (thRepo.url.indexOf('https://hg.mozilla.org') !== 0) {
-      return all;
-    }
-
+    // Skip anything we cannot poll (see ../pushlog/backends.js)...
+    let type = repositoryType(thRepo);
+    if (!type) return all;
 
     let normalizedUrl = urljoin(thRepo.url, '/');
     if (seen.has(normalizedUrl)) {
@@ -34,10 +41,13 @@ cli(async function main(runtime, config) {
       return all;
     }
 
-    all.push({
+    let doc = {
       alias: thRepo.name,
-      url: normalizedUrl
-    });
+      url: normalizedUrl,
+      type
+    };
+    if (type === 'git' && thRepo.branch) doc.branch = thRepo.branch;
+    all.push(doc);
 
     seen.add(normalizedUrl);
 
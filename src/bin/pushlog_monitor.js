@@ -1,18 +1,78 @@
 #! /usr/bin/env node
 /**
-The repository monitor watches for any changes in mozilla hg repositories.
+The repository monitor watches for any changes in mozilla hg (and git)
+repositories.
 */
 
 import 'babel/polyfill';
 import cli from '../cli';
+import taskcluster from 'taskcluster-client';
 
 import Monitor from '../pushlog/monitor';
+import createWebhook from '../pushlog/webhook';
+import createAdmin from '../pushlog/admin';
+
+async function setupPulseNotifications(monitor, config) {
+  let listener = new taskcluster.PulseListener({
+    credentials: {
+      connectionString: config.connectionString
+    },
+    queueName: config.queue,
+    prefetch: config.prefetch
+  });
+
+  await listener.bind({
+    exchange: config.exchange,
+    routingKeyPattern: config.routingKeyPattern
+  });
+
+  listener.on('message', (message) => {
+    // hg push messages wrap the interesting bits in an inner payload.
+    let body = message.payload.payload || message.payload;
+    if (!body.repo_url) {
+      console.error('Push notification without repo_url', message.payload);
+      return;
+    }
+    monitor.notify(body.repo_url);
+  });
+
+  await listener.resume();
+}
 
 cli(async function main(runtime, config) {
   let monitor = new Monitor(
     runtime.jobs,
     runtime.repositories,
-    config.repositoryMonitor
+    Object.assign(
+      {
+        pushlog: runtime.pushlog,
+        gaps: runtime.gaps,
+        leases: runtime.leases
+      },
+      config.repositoryMonitor
+    )
   );
   await monitor.start();
+
+  // graceful shutdown (hand our repositories over to other monitors)...
+  process.once('SIGTERM', () => {
+    monitor.stop().catch((err) => {
+      console.error('Error releasing leases', err);
+    }).then(() => {
+      process.exit(0);
+    });
+  });
+
+  let { webhook, pulse, admin } = config.repositoryMonitor;
+  if (admin) {
+    await createAdmin(monitor, runtime, admin);
+  }
+
+  if (webhook) {
+    await createWebhook(monitor, webhook);
+  }
+
+  if (pulse) {
+    await setupPulseNotifications(monitor, pulse);
+  }
 });
@@ -0,0 +1,118 @@
+#! /usr/bin/env node
+/**
+Render a task graph template (.taskcluster.yml) from a local file or url with
+sample variables and validate the result (utility script).
+*/
+
+import 'babel/polyfill';
+import fs from 'mz/fs';
+import yaml from 'js-yaml';
+import { validateTemplate } from '../try/validate';
+import { parseTrySyntax } from '../try/syntax';
+import { fetchUrl } from '../try/template_source';
+
+import { ArgumentParser } from 'argparse';
+
+// Used for any variable not given on the command line...
+const SAMPLE_VARIABLES = {
+  owner: 'user@example.com',
+  revision: '0123456789abcdef0123456789abcdef01234567',
+  project: 'try',
+  level: '1',
+  revision_hash: '0123456789abcdef0123456789abcdef01234567',
+  comment: 'try: -b o -p all -u all -t none',
+  pushlog_id: '1',
+  files: ['README'],
+  changesets: [{
+    node: '0123456789abcdef0123456789abcdef01234567',
+    author: 'Some One <user@example.com>',
+    desc: 'try: -b o -p all -u all -t none',
+    files: ['README'],
+    branch: 'default'
+  }],
+  pushdate: 1464739200,
+  base_revision: 'fedcba9876543210fedcba9876543210fedcba98',
+  url: 'https://hg.mozilla.org/try/',
+  importScopes: true
+};
+
+async function readTemplate(location) {
+  if (!/^(https?|file):\/\//.test(location)) {
+    return await fs.readFile(location, 'utf8');
+  }
+
+  let text = await fetchUrl(location);
+  if (text === null) throw new Error(`No template at ${location}`);
+  return text;
+}
+
+async function run(fn) {
+  let parser = new ArgumentParser();
+  parser.addArgument(['template'], {
+    help: 'Path or url (http(s):// or file://) of the template (.taskcluster.yml)'
+  });
+
+  parser.addArgument(['--vars'], {
+    help: 'YAML (or JSON) file of variables to render the template with',
+    metavar: 'FILE'
+  });
+
+  parser.addArgument(['--var'], {
+    help: 'Variable to render the template with (overrides --vars)',
+    action: 'append',
+    metavar: 'NAME=VALUE'
+  });
+
+  parser.addArgument(['--print'], {
+    help: 'Print the rendered graph',
+    action: 'storeTrue'
+  });
+
+  try {
+    let args = parser.parseArgs();
+    await fn(args);
+  } catch (err) {
+    setTimeout(() => {
+      throw err;
+    });
+  }
+}
+
+run(async function main(args) {
+  let variables = Object.assign({}, SAMPLE_VARIABLES, {
+    source: args.template
+  });
+
+  if (args.vars) {
+    Object.assign(variables, yaml.safeLoad(await fs.readFile(args.vars, 'utf8')));
+  }
+
+  for (let pair of (args.var || [])) {
+    let idx = pair.indexOf('=');
+    if (idx === -1) throw new Error(`Invalid --var ${pair} (expected NAME=VALUE)`);
+    variables[pair.slice(0, idx)] = pair.slice(idx + 1);
+  }
+
+  if (!variables.hasOwnProperty('try')) {
+    variables.try = parseTrySyntax(variables.comment);
+  }
+
+  let text = await readTemplate(args.template);
+  let { graph, errors } = validateTemplate(text, variables);
+
+  if (args.print && graph) {
+    console.log(JSON.stringify(graph, null, 2));
+  }
+
+  for (let error of errors) {
+    console.error(`${error.path}: ${error.message}`);
+  }
+
+  if (errors.length) {
+    console.error(`${args.template} is invalid (${errors.length} errors)`);
+    process.exit(1);
+  }
+
+  console.log(`${args.template} is valid`);
+  process.exit();
+});
@@ -0,0 +1,72 @@
+import { Collection } from '../db';
+let Joi = require('joi');
+
+/**
+The gaps collection records ranges of pushes the monitor skipped (because more
+then maxPushFetches were missing) so they can be audited and backfilled.
+*/
+export default class Gaps extends Collection {
+  static createId(repositoryId, start, end) {
+    return `${repositoryId}-${start}-${end}`;
+  }
+
+  get id() {
+    return 'gaps';
+  }
+
+  get indexes() {
+    return {
+      id: { w: 'majority', unique: true },
+      repositoryId: { w: 'majority' }
+    };
+  }
+
+  get schema() {
+    return Joi.object().keys({
+      id: Joi.string(),
+
+      repositoryId: Joi.string().required().
+        description('Id of the repository document'),
+
+      alias: Joi.string().required().
+        description('Alias used by treeherder'),
+
+      url: Joi.string().required(),
+
+      start: Joi.number().integer().min(0).required().
+        description('First skipped push id (inclusive)'),
+
+      end: Joi.number().integer().min(0).required().
+        description('Last skipped push id (inclusive)'),
+
+      detected: Joi.date().required().
+        description('When the gap was detected'),
+
+      backfilled: Joi.boolean().default(false),
+
+      backfilledAt: Joi.date().
+        description('When the gap was marked as backfilled')
+    }).unknown(true)
+  }
+
+  async validateDocument(doc) {
+    // Await + super don't seem to play nice hack around it!
+    let v = super.validateDocument(doc);
+    doc = await v;
+    doc.id = Gaps.createId(doc.repositoryId, doc.start, doc.end);
+    return doc;
+  }
+
+  /**
+  Mark a gap as backfilled returning the updated document.
+  */
+  async markBackfilled(id) {
+    let doc = await this.findById(id);
+    if (!doc) throw new Error(`Unknown gap ${id}`);
+
+    doc.backfilled = true;
+    doc.backfilledAt = new Date();
+    await this.replace({ id }, doc);
+    return doc;
+  }
+}
@@ -0,0 +1,104 @@
+import { Collection } from '../db';
+let Joi = require('joi');
+
+// Mongodb error code for unique index violations.
+const DUPLICATE_KEY = 11000;
+
+/**
+The leases collection is used to ensure only one monitor process works on a
+particular repository at a time. Each lease is owned by one process until it
+expires (owners renew their leases while they are running).
+*/
+export default class Leases extends Collection {
+  get id() {
+    return 'leases';
+  }
+
+  get schema() {
+    return Joi.object().keys({
+      id: Joi.string().required().
+        description('Name of the resource being leased'),
+
+      owner: Joi.string().required().
+        description('Unique id of the process which holds the lease'),
+
+      expires: Joi.date().required().
+        description('Lease is free for others to acquire after this time'),
+
+      notified: Joi.boolean().
+        description('Owner should act on the leased resource soon')
+    }).unknown(true)
+  }
+
+  /**
+  Acquire (or renew) a lease. This succeeds if the lease does not exist, has
+  expired or is already held by the owner.
+
+  @param {String} id of the lease.
+  @param {String} owner requesting the lease.
+  @param {Number} duration of the lease in ms.
+  @return {Boolean} true if the lease is held by the owner.
+  */
+  async acquire(id, owner, duration) {
+    let now = new Date();
+    let doc = await this.validateDocument({
+      id,
+      owner,
+      expires: new Date(now.getTime() + duration)
+    });
+
+    try {
+      await this.collection.findOneAndUpdate(
+        { id, $or: [{ owner }, { expires: { $lt: now } }] },
+        { $set: doc },
+        { upsert: true }
+      );
+      return true;
+    } catch (err) {
+      // When another owner holds the lease the query does not match and the
+      // upsert collides with the existing document.
+      if (err.code === DUPLICATE_KEY) return false;
+      throw err;
+    }
+  }
+
+  /**
+  Ask the owner of a lease to act on the leased resource soon (see
+  `takeNotified`). Used by processes which do not hold the lease.
+
+  @return {Boolean} true if the lease exists.
+  */
+  async notify(id) {
+    let { value } = await this.collection.findOneAndUpdate(
+      { id },
+      { $set: { notified: true } }
+    );
+    return !!value;
+  }
+
+  /**
+  Clear the notifications of all leases held by the owner.
+
+  @param {String} owner of the leases.
+  @return {Array} ids of the leases which were notified.
+  */
+  async takeNotified(owner) {
+    let ids = [];
+    while (true) {
+      let { value } = await this.collection.findOneAndUpdate(
+        { owner, notified: true },
+        { $set: { notified: false } }
+      );
+      if (!value) return ids;
+      ids.push(value.id);
+    }
+  }
+
+  /**
+  Release a lease (only if held by the owner).
+  */
+  async release(id, owner) {
+    let { deletedCount } = await this.collection.deleteOne({ id, owner });
+    return deletedCount > 0;
+  }
+}
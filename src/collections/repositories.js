@@ -1,5 +1,6 @@
 import { Collection } from '../db';
 import { createHash } from 'crypto';
+import { DEFAULT_TYPE, TYPES } from '../pushlog/backends';
 let Joi = require('joi');
 
 /**
@@ -31,14 +32,104 @@ export default class Repositories extends Collection {
 
       url: Joi.string().required(),
 
+      type: Joi.string().valid(TYPES).default(DEFAULT_TYPE).
+        description('Pushlog backend used to monitor the repository'),
+
+      branch: Joi.string().
+        description('Branch to monitor (git repositories only)'),
+
       lastChangset: Joi.string().
         description('Last changeset in most recent push'),
 
       lastPushId: Joi.number().integer().default(0).min(0).
-        description('Push log id')
+        description('Push log id'),
+
+      enabled: Joi.boolean().default(true).
+        description('When false the repository is not monitored'),
+
+      pollInterval: Joi.number().integer().min(0).
+        description(`
+          Minimum time (in ms) between polling the repository (defaults to
+          every repositoryMonitor.interval).
+        `.trim()),
+
+      maxPushFetches: Joi.number().integer().min(1).
+        description('Overrides repositoryMonitor.maxPushFetches'),
+
+      outbox: Joi.array().
+        description(`
+          Jobs recorded along with the last push which have not yet been sent
+          to kue (see Monitor.dispatch).
+        `.trim())
     }).unknown(true)
   }
 
+  /**
+  Atomically move the repository to a new push and record the jobs which must
+  be scheduled for it in the outbox. Only succeeds if the lastPushId is still
+  `previousPushId`.
+
+  @param {String} id of the repository.
+  @param {Number} previousPushId expected current push id.
+  @param {Object} update fields to set (lastPushId, etc...).
+  @param {Array} messages outbox entries ({ id, topic, body }).
+  @return {Object} updated document.
+  */
+  async recordPush(id, previousPushId, update, messages) {
+    let result = await this.collection.findOneAndUpdate(
+      { id, lastPushId: previousPushId },
+      { $set: update, $push: { outbox: { $each: messages } } },
+      { returnOriginal: false }
+    );
+
+    if (result.value) return result.value;
+
+    let err = new Error('Could not find or update document');
+    err.result = result;
+    throw err;
+  }
+
+  /**
+  Remove a (dispatched) entry from the outbox.
+  */
+  async removeFromOutbox(id, entryId) {
+    await this.collection.update(
+      { id },
+      { $pull: { outbox: { id: entryId } } }
+    );
+  }
+
+  /**
+  Change some fields of a repository. The changes are validated along with
+  the rest of the document but only the changed fields are written so fields
+  the monitor updates concurrently (lastPushId, outbox) are never rolled back.
+  Changing the url changes the id as well.
+
+  @param {String} id of the repository.
+  @param {Object} changes fields to set.
+  @return {Object|null} updated document or null if there is no such
+                        repository.
+  */
+  async update(id, changes) {
+    let current = await this.findById(id);
+    if (!current) return null;
+
+    let doc = await this.validateDocument(Object.assign({}, current, changes));
+    let update = Object.keys(changes).reduce((result, key) => {
+      result[key] = doc[key];
+      return result;
+    }, {});
+    if (doc.id !== id) update.id = doc.id;
+    if (!Object.keys(update).length) return current;
+
+    let result = await this.collection.findOneAndUpdate(
+      { id },
+      { $set: update },
+      { returnOriginal: false }
+    );
+    return result.value;
+  }
+
   async validateDocument(doc) {
     // Await + super don't seem to play nice hack around it!
     let v = super.validateDocument(doc);
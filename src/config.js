@@ -8,6 +8,14 @@ let Joi = require('joi');
 import createConnection from './db';
 import Debug from 'debug';
 import Config from './collections/config';
+import {
+  SCHEDULERS,
+  RETRIGGER_MODES,
+  coalesceWindow
+} from './project_scopes';
+import { SKIP_RULES_SCHEMA, validateSkipRules } from './try/skip_rules';
+import { validatePaths } from './try/paths';
+import { RATE_LIMIT_SCHEMA } from './jobs/rate_limit';
 
 const debug = Debug('config');
 const TREEHERDER_API = 'https://treeherder.mozilla.org/api/';
@@ -91,17 +99,62 @@ let schema = Joi.object().keys({
     defaultUrl: Joi.string().required().
       description('Default url (with mustache params) to use to fetch taskgraph'),
 
-    errorTaskUrl: Joi.string().required().
-      description('Location of the "error" task to use if we cannot parse the yaml'),
+    errorTaskUrl: Joi.string().
+      description('Deprecated (unused) template errors are reported to treeherder directly'),
+
+    dryRun: Joi.boolean().default(false).
+      description('Render task graphs without submitting them to taskcluster'),
+    dryRunOutput: Joi.string().
+      description('File to write dry run graphs to (defaults to stdout)'),
+
+    skip: SKIP_RULES_SCHEMA.
+      description('Default rules for skipping task graph creation'),
+
+    mirrors: Joi.array().includes(Joi.string()).
+      description('Hosts (http(s):// or file://) to fetch templates from when the repository host fails'),
+    templateCacheSize: Joi.number().integer().min(0).
+      description('Number of templates cached by each worker'),
+
+    rateLimit: RATE_LIMIT_SCHEMA.
+      description('Limit on task graph submissions shared by every project'),
+
+    scopePolicy: Joi.object().pattern(/^\d+$/, Joi.array().includes(Joi.string())).
+      description('Scopes tasks may request keyed by project level'),
 
     projects: Joi.object().pattern(/.*/, Joi.object({
       level: [Joi.number(), Joi.string()],
       scopes: Joi.array(),
       url: Joi.string(),
-      contains: Joi.string()
+      contains: Joi.string().
+        description('Deprecated use skip.messages.include'),
+      skip: SKIP_RULES_SCHEMA.
+        description('Rules for skipping task graph creation (overrides try.skip)'),
+      paths: Joi.array().includes(Joi.string()).
+        description('Globs of files which trigger task graph creation'),
+      ignorePaths: Joi.array().includes(Joi.string()).
+        description('Globs of files which never trigger task graph creation'),
+      scheduler: Joi.string().valid(SCHEDULERS).
+        description('Submit graphs via the task-graph scheduler or the queue'),
+      schedulerId: Joi.string().
+        description('schedulerId of tasks created in "queue" mode'),
+      retrigger: Joi.string().valid(RETRIGGER_MODES).
+        description('Retrigger task group tasks with their dependents or reusing their dependencies'),
+      rateLimit: RATE_LIMIT_SCHEMA.
+        description('Limit on task graph submissions for the project'),
+      coalesce: Joi.object().keys({
+        window: Joi.string().required().
+          description('Time to wait for newer pushes ("2 minutes")'),
+        report: Joi.boolean().default(true).
+          description('Post a "coalesced" job to treeherder for older pushes')
+      }).description('Only create a graph for the newest of several pushes')
     }))
   }),
 
+  github: Joi.object().keys({
+    token: Joi.string().
+      description('GitHub api token used when polling git repositories')
+  }),
+
   redis: Joi.object().keys({
     host: Joi.string().required()
   }).unknown(true),
@@ -119,14 +172,55 @@ let schema = Joi.object().keys({
     interval: Joi.number().required().
       description(`
         Interval between when checking invidual repositories. When repositories
-        are busy no checking occurs.
+        are busy no checking occurs. Repositories with a pollInterval are
+        checked less often but never more often then this.
       `),
 
     maxPushFetches: Joi.number().required().
       description(`
         Number of missing pushes to fetch if current push id < then current
         changelog push id (most recent N are fetched in ascending order).
-      `.trim())
+      `.trim()),
+
+    syncInterval: Joi.number().
+      description(`
+        Interval between reloading the list of repositories from the database.
+      `.trim()),
+
+    leaseDuration: Joi.number().
+      description(`
+        Duration of the per repository lease held by a monitor. If a monitor
+        dies another one takes over its repositories after this long.
+      `.trim()),
+
+    webhook: Joi.object().keys({
+      port: Joi.number().required(),
+      secret: Joi.string().
+        description('Shared secret the body must be signed with (X-Hub-Signature)')
+    }).description(`
+      When set an http server is started which accepts push notifications
+      (POST /pushes) and checks the pushed repository immediately.
+    `.trim()),
+
+    admin: Joi.object().keys({
+      port: Joi.number().required(),
+      accessToken: Joi.string().required().
+        description('Bearer token required for all admin requests')
+    }).description(`
+      When set an http api for managing repositories is started.
+    `.trim()),
+
+    pulse: Joi.object().keys({
+      connectionString: Joi.string().required(),
+      exchange: Joi.string().required().
+        description('Exchange which publishes hg push notifications'),
+      routingKeyPattern: Joi.string().default('#'),
+      queue: Joi.string(),
+      prefetch: Joi.number().default(10)
+    }).description(`
+      When set push notifications are consumed from the exchange and the
+      pushed repository is checked immediately.
+    `.trim())
   }),
 
   commitPublisher: Joi.object().keys({
@@ -137,6 +231,28 @@ let schema = Joi.object().keys({
   })
 }).unknown(true);
 
+/**
+Check the skip rule patterns (see ./try/skip_rules.js), path globs (see
+./try/paths.js) and coalescing windows of every project.
+*/
+function checkProjects(config = {}) {
+  validateSkipRules(config.skip, 'try.skip');
+  let projects = config.projects || {};
+  for (let name of Object.keys(projects)) {
+    let { skip, contains, coalesce } = projects[name];
+    validateSkipRules(skip, `try.projects.${name}.skip`);
+    validatePaths(projects[name], `try.projects.${name}`);
+    if (contains) {
+      validateSkipRules(
+        { messages: { include: contains } }, `try.projects.${name}.contains`
+      );
+    }
+    if (coalesce) {
+      coalesceWindow(coalesce.window, `try.projects.${name}.coalesce.window`);
+    }
+  }
+}
+
 export default async function load(profile, options = {}) {
   let defaultConfig = await loadYaml(
     path.join(__dirname, '..', 'src', 'config', 'default.yml')
@@ -189,5 +305,7 @@ export default async function load(profile, options = {}) {
     // Annotate give us _really_ pretty error messages.
     throw new Error(result.error.annotate());
   }
+
+  if (!options.noRaise) checkProjects(result.value.try);
   return result.value;
 };
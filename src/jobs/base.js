@@ -1,6 +1,10 @@
 import denodeify from 'denodeify';
+import Debug from 'debug';
+import * as idempotency from './idempotency';
 let Joi = require('joi');
 
+let debug = Debug('jobs:base');
+
 /**
 Base class to wrap basic behaviours of every job.
 
@@ -41,6 +45,16 @@ export default class Base {
     return this.runtime.jobs.create(topic, body);
   }
 
+  /**
+  Build a deterministic idempotency key (see `scheduleJob`).
+
+    this.idempotencyKey('taskcluster-graph', repo.id, pushref.id);
+
+  */
+  idempotencyKey(...parts) {
+    return idempotency.idempotencyKey(...parts);
+  }
+
   /**
   Schedule a job created by `createJob`
 
@@ -49,8 +63,28 @@ export default class Base {
 
     await this.scheduleJob(job);
 
+  When an idempotency key is given the job is only scheduled if no other job
+  has been scheduled with the same key.
+
+    let key = this.idempotencyKey('do', 'stuff');
+    await this.scheduleJob(job, key);
+
+  @return {Boolean} false if the job was dropped as a duplicate.
   */
-  async scheduleJob(job) {
-    return await denodeify(job.save).call(job);
+  async scheduleJob(job, idempotencyKey) {
+    let jobs = this.runtime.jobs;
+    if (idempotencyKey && !await idempotency.claim(jobs, idempotencyKey)) {
+      debug('Skipping duplicate job %s', idempotencyKey);
+      return false;
+    }
+
+    try {
+      await denodeify(job.save).call(job);
+    } catch (err) {
+      // Allow the job to be scheduled again (likely by a retry)...
+      if (idempotencyKey) await idempotency.release(jobs, idempotencyKey);
+      throw err;
+    }
+    return true;
   }
 }
@@ -0,0 +1,45 @@
+/**
+Coalescing of task graphs on busy branches. Graph jobs of projects with
+`coalesce` configured are delayed by its window and the newest push seen for
+the repository is recorded. When a job runs and a newer push has been
+recorded it does not get a graph of its own (it is coalesced into the newer
+push which will).
+
+The newest push is stored in the kue redis instance (like idempotency keys)
+and expires after COALESCE_TTL.
+*/
+
+import denodeify from 'denodeify';
+
+// Long after any job delayed by the window (or retries) would have run...
+export const COALESCE_TTL = 24 * 60 * 60 * 1000;
+
+function redisKey(client, repoId) {
+  return client.getKey(`coalesce:${repoId}`);
+}
+
+/**
+Record a push (for which a graph job has been scheduled) keeping only the
+newest push of the repository.
+*/
+export async function recordPush(jobs, repoId, pushId) {
+  let client = jobs.client;
+  let key = redisKey(client, repoId);
+  await denodeify(client.zadd).call(client, key, pushId, pushId);
+  // Everything but the highest push id...
+  await denodeify(client.zremrangebyrank).call(client, key, 0, -2);
+  await denodeify(client.pexpire).call(client, key, COALESCE_TTL);
+}
+
+/**
+Newest push recorded for a repository.
+
+@return {Number|null} push id.
+*/
+export async function newestPush(jobs, repoId) {
+  let client = jobs.client;
+  let [newest] = await denodeify(client.zrevrange).call(
+    client, redisKey(client, repoId), 0, 0
+  );
+  return newest ? Number(newest) : null;
+}
@@ -0,0 +1,103 @@
+/**
+Idempotency keys are used to drop duplicate jobs. Messages are sent "at least
+once" so the same push may be seen more then once but (for example) we never
+want to create a second decision graph for it.
+
+Keys are stored in the kue redis instance (so they share its prefix) and
+expire after IDEMPOTENCY_TTL. Pushes which are deliberately replayed
+(bin/backfill or moving the `lastPushId` of a repository back) must release
+their keys first (see `releasePush` and `releasePushes`).
+*/
+
+import denodeify from 'denodeify';
+let Joi = require('joi');
+
+// Long after any retries for the same push could still be running...
+export const IDEMPOTENCY_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Every job keyed by push (see ../pushlog/monitor.js and
+// ./treeherder_resultset.js).
+export const PUSH_TOPICS = [
+  'publish-push', 'treeherder-resultset', 'taskcluster-graph'
+];
+
+// Keys scanned at once by `releasePushes`.
+const SCAN_COUNT = 1000;
+
+/**
+Build a deterministic key from its parts.
+
+  idempotencyKey('taskcluster-graph', repo.id, pushref.id);
+  // => 'taskcluster-graph/<repo id>/<push id>'
+
+*/
+export function idempotencyKey(...parts) {
+  Joi.assert(parts, Joi.array().min(1).includes(
+    Joi.alternatives().try(Joi.string(), Joi.number())
+  ));
+  return parts.join('/');
+}
+
+function redisKey(client, key) {
+  return client.getKey(`idempotency:${key}`);
+}
+
+/**
+Claim a key for a job.
+
+@param {Object} jobs kue queue.
+@param {String} key to claim.
+@return {Boolean} false if the key has already been claimed.
+*/
+export async function claim(jobs, key) {
+  let client = jobs.client;
+  let res = await denodeify(client.set).call(
+    client, redisKey(client, key), Date.now(), 'NX', 'PX', IDEMPOTENCY_TTL
+  );
+  return res === 'OK';
+}
+
+/**
+Release a key (used when the job could not be scheduled after all).
+*/
+export async function release(jobs, key) {
+  let client = jobs.client;
+  await denodeify(client.del).call(client, redisKey(client, key));
+}
+
+/**
+Release the keys of every job for a push so it can be processed again.
+*/
+export async function releasePush(jobs, repoId, pushId, topics = PUSH_TOPICS) {
+  for (let topic of topics) {
+    await release(jobs, idempotencyKey(topic, repoId, pushId));
+  }
+}
+
+/**
+Release the keys of every push of a repository newer then `after` (push ids
+are not contiguous for every backend so the keys are scanned for).
+
+@return {Number} number of keys released.
+*/
+export async function releasePushes(jobs, repoId, after) {
+  let client = jobs.client;
+  let pattern = redisKey(client, idempotencyKey('*', repoId, '*'));
+  let released = 0;
+  let cursor = '0';
+  do {
+    let [next, keys] = await denodeify(client.scan).call(
+      client, cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT
+    );
+    cursor = next;
+
+    let newer = keys.filter((key) => {
+      return Number(key.slice(key.lastIndexOf('/') + 1)) > after;
+    });
+    if (newer.length) {
+      await denodeify(client.del).apply(client, newer);
+      released += newer.length;
+    }
+  } while (cursor !== '0');
+  return released;
+}
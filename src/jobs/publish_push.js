@@ -12,7 +12,9 @@ export default class PushJob extends Base {
 
   async work(job) {
     let { pushref, repo } = job.data;
-    let push = await this.runtime.pushlog.getOne(repo.url, pushref.id);
+    let push = await this.runtime.pushlog.
+      forRepository(repo).
+      getOne(repo.url, pushref.id);
 
     let message = {
       id: push.id,
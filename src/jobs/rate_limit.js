@@ -0,0 +1,153 @@
+/**
+Token buckets limiting how quickly task graphs are submitted. Each bucket
+holds up to `burst` tokens and refills at `perMinute` tokens a minute, every
+submission takes a token from each of its buckets (the project's and the
+global one). Jobs which cannot get a token are delayed (never dropped) until
+the buckets have refilled.
+
+Buckets are stored in the kue redis instance (so they are shared by every
+worker) along with the number of jobs currently delayed for each project.
+*/
+
+import denodeify from 'denodeify';
+let Joi = require('joi');
+
+const MINUTE = 60 * 1000;
+
+// Buckets are read and then swapped only if no other worker changed them in
+// the mean time this is how often to try before giving up...
+const SWAP_ATTEMPTS = 5;
+
+// Delay for jobs which could not swap the buckets at all.
+const CONTENDED_DELAY = 1000;
+
+const DEPTH_KEY = 'rate-limit:depth';
+
+// KEYS: buckets, ARGV: current values, new values, ttls (one per bucket)
+const SWAP_SCRIPT = `
+local n = #KEYS
+for i = 1, n do
+  local current = redis.call('GET', KEYS[i]) or ''
+  if current ~= ARGV[i] then return 0 end
+end
+for i = 1, n do
+  redis.call('SET', KEYS[i], ARGV[n + i], 'PX', ARGV[2 * n + i])
+end
+return 1
+`;
+
+export const RATE_LIMIT_SCHEMA = Joi.object().keys({
+  perMinute: Joi.number().positive().required().
+    description('Task graphs submitted per minute (on average)'),
+  burst: Joi.number().integer().min(1).default(1).
+    description('Task graphs which may be submitted at once')
+});
+
+function burst(limit) {
+  return limit.burst || 1;
+}
+
+/**
+Take a token from every bucket (or none at all).
+
+@param {Array} states of each bucket { tokens, updated } (null when new).
+@param {Array} limits of each bucket { perMinute, burst }.
+@param {Number} now time in ms.
+@return {Object} { wait } ms until every bucket has a token or
+                 { wait: 0, states } the new state of each bucket.
+*/
+export function takeTokens(states, limits, now) {
+  let refilled = states.map((state, idx) => {
+    let limit = limits[idx];
+    if (!state) return burst(limit);
+    let elapsed = Math.max(0, now - state.updated);
+    return Math.min(
+      burst(limit), state.tokens + elapsed * limit.perMinute / MINUTE
+    );
+  });
+
+  let wait = refilled.reduce((result, tokens, idx) => {
+    if (tokens >= 1) return result;
+    let needed = Math.ceil((1 - tokens) * MINUTE / limits[idx].perMinute);
+    return Math.max(result, needed);
+  }, 0);
+
+  if (wait) return { wait };
+  return {
+    wait: 0,
+    states: refilled.map(tokens => ({ tokens: tokens - 1, updated: now }))
+  };
+}
+
+/**
+Take a token from each of the given buckets.
+
+  await take(jobs, [{ name: 'project/try', limit: { perMinute: 2 } }]);
+  // => 0 (or ms until the buckets have a token)
+
+@param {Object} jobs kue queue.
+@param {Array} buckets [{ name, limit }].
+@return {Number} 0 if tokens were taken otherwise ms to wait before trying
+                 again.
+*/
+export async function take(jobs, buckets, now = Date.now()) {
+  let client = jobs.client;
+  let keys = buckets.map(({ name }) => client.getKey(`rate-limit:${name}`));
+  let limits = buckets.map(({ limit }) => limit);
+
+  // Once a bucket has refilled its state no longer matters...
+  let ttls = limits.map((limit) => {
+    return Math.ceil(burst(limit) * MINUTE / limit.perMinute);
+  });
+
+  for (let attempt = 0; attempt < SWAP_ATTEMPTS; attempt++) {
+    let values = await denodeify(client.mget).call(client, keys);
+    let states = values.map(value => value ? JSON.parse(value) : null);
+    let result = takeTokens(states, limits, now);
+    if (result.wait) return result.wait;
+
+    let args = [SWAP_SCRIPT, keys.length].concat(
+      keys,
+      values.map(value => value || ''),
+      result.states.map(state => JSON.stringify(state)),
+      ttls
+    );
+    let swapped = await denodeify(client.eval).apply(client, args);
+    if (swapped) return 0;
+  }
+
+  return CONTENDED_DELAY;
+}
+
+/**
+Adjust the number of delayed jobs for a project.
+
+@return {Number} jobs now delayed for the project.
+*/
+export async function changeDepth(jobs, project, by) {
+  let client = jobs.client;
+  return await denodeify(client.hincrby).call(
+    client, client.getKey(DEPTH_KEY), project, by
+  );
+}
+
+/**
+Number of delayed jobs for each project.
+
+  await queueDepth(jobs);
+  // => { try: 3 }
+
+*/
+export async function queueDepth(jobs) {
+  let client = jobs.client;
+  let counts = await denodeify(client.hgetall).call(
+    client, client.getKey(DEPTH_KEY)
+  );
+
+  let result = {};
+  for (let project of Object.keys(counts || {})) {
+    let count = parseInt(counts[project], 10);
+    if (count > 0) result[project] = count;
+  }
+  return result;
+}
@@ -2,9 +2,9 @@ import taskcluster from 'taskcluster-client';
 import * as projectConfig from '../project_scopes';
 import slugid from 'slugid';
 import { duplicate as duplicateTask } from '../taskcluster/duplicate_task';
-import { jobFromTask } from '../treeherder/job_handler';
+import { errorJob } from '../treeherder/error_job';
+import { postJob } from '../treeherder/post_job';
 import traverse from 'traverse';
-import Project from 'mozilla-treeherder/project';
 import { GraphDuplicator, GroupDuplicator } from '../taskcluster/duplicator';
 
 import RetriggerExchange from '../exchanges/retrigger';
@@ -85,7 +85,11 @@ export default class RetriggerJob extends Base {
           credentials: this.config.taskcluster.credentials,
           authorizedScopes: scopes
         });
-        newGraphId = await this.duplicateTaskInTaskGroup(project, queue, taskId)
+        if (projectConfig.retrigger(this.config.try, project) === 'upstream') {
+          newGraphId = await this.duplicateUpstreamInTaskGroup(project, queue, taskId);
+        } else {
+          newGraphId = await this.duplicateTaskInTaskGroup(project, queue, taskId)
+        }
       }
     } catch(e) {
       console.log(`Error posting retrigger job for '${project}', ${JSON.stringify(e, null, 2)}`);
@@ -152,6 +156,30 @@ export default class RetriggerJob extends Base {
       true // Always duplicate entire graph
     );
 
+    await this.createGroupTasks(project, queue, taskNodes, tasks);
+
+    // the taskGroupId hasn't changed, so just return the original task's taskGroupId
+    return taskNodes[taskId].task.taskGroupId;
+  }
+
+  /**
+  Duplicate only the given task reusing the outputs of the tasks it depends on.
+  Dependencies which failed or whose artifacts expire before the deadline of
+  the new task are duplicated as well (along with anything they depend on in
+  turn) but the decision task never is. Unlike
+  `duplicateTaskInTaskGroup` tasks depending on the given task are left alone.
+  */
+  async duplicateUpstreamInTaskGroup(project, queue, taskId, now = new Date()) {
+    let groupDuplicator = new GroupDuplicator(queue);
+    let taskNodes = {};
+    let tasks = await groupDuplicator.duplicateUpstreamNode(taskNodes, taskId, now);
+
+    await this.createGroupTasks(project, queue, taskNodes, tasks);
+
+    return taskNodes[taskId].task.taskGroupId;
+  }
+
+  async createGroupTasks(project, queue, taskNodes, tasks) {
     // Build a map of old task ids to new task ids...
     let taskMap = Object.keys(taskNodes).reduce((result, oldTaskId) => {
       taskNodes[oldTaskId].oldTaskId = oldTaskId;
@@ -190,72 +218,20 @@ export default class RetriggerJob extends Base {
     for (let task of transformedTasks) {
       await add(task.taskId);
     }
-
-    // the taskGroupId hasn't changed, so just return the original task's taskGroupId
-    return taskNodes[taskId].task.taskGroupId;
   }
 
   async postRetriggerFailureJob(projectName, revision, revisionHash, task, error) {
-      let project = new Project(projectName, {
-        clientId: this.config.treeherder.credentials.clientId,
-        secret: this.config.treeherder.credentials.secret,
-        baseUrl: this.config.treeherder.apiUrl,
-        // Issue up to 2 retries for 429 throttle issues.
-        throttleRetries: 2
-      });
-
-      let push = {}
-      let job = jobFromTask(slugid.nice(), task, {runId: 0, workerId: 'unknown'})
-      job.submit_timestamp = Math.floor(new Date().getTime() / 1000);
-      job.result = 'exception';
-      job.state = 'completed';
-
-      job.artifacts = [
-          {
-            "type": "json",
-            "name": "text_log_summary",
-            "job_guid": job.job_guid,
-            "blob": {
-              "step_data": {
-                "all_errors": [ `[taskcluster:error] Unable to retrigger task. ${error}`],
-                "steps": []
-              },
-              "logname":"error_log",
-              "parse_status": "parsed"
-            }
-          },
-          {
-            "type": "json",
-            "name": "Bug suggestions",
-            "job_guid": job.job_guid,
-            "blob": [
-                {
-                    "search": `[taskcluster:error] Unable to retrigger task. ${error}`,
-                    "search_terms": [
-                    ],
-                    "bugs": {
-                        "open_recent": [],
-                        "all_others": []
-                    }
-                },
-            ],
-        }
-      ];
+    let job = errorJob(task, [
+      `[taskcluster:error] Unable to retrigger task. ${error}`
+    ]);
 
-      push = {
-        project: projectName,
-        revision_hash: revisionHash,
-        revision: revision,
-        job: job
-      };
-
-      try {
-        let res = await project.postJobs([push]);
-      } catch (err) {
-        console.log(`Error pushing retrigger failure status to treeherder. ${err}`)
-        // Just return and let the caller handle any exceptions to raise.
-        // This should be a best effort attempt.
-        return;
-      }
+    try {
+      await postJob(this.config, projectName, revision, revisionHash, job);
+    } catch (err) {
+      console.log(`Error pushing retrigger failure status to treeherder. ${err}`)
+      // Just return and let the caller handle any exceptions to raise.
+      // This should be a best effort attempt.
+      return;
+    }
   }
 }
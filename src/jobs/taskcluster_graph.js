@@ -1,22 +1,38 @@
 import instantiate from '../try/instantiate'
-import request from 'superagent-promise';
 import slugid from 'slugid';
+import denodeify from 'denodeify';
 import taskcluster from 'taskcluster-client';
 import fs from 'mz/fs';
 import fsPath from 'path';
-import mustache from 'mustache';
 import * as projectConfig from '../project_scopes';
-import assert from 'assert';
-import retry from 'promise-retries';
 
 import Path from 'path';
 import Base from './base';
+import { describeTemplateError, formatTemplateError } from '../try/errors';
+import { errorJob } from '../treeherder/error_job';
+import { postJob } from '../treeherder/post_job';
+import { parseTrySyntax } from '../try/syntax';
+import { changedFiles } from '../try/paths';
+import * as rateLimit from './rate_limit';
+import * as coalescing from './coalesce';
+import { coalescedJob } from '../treeherder/coalesced_job';
+import { fetchTemplate, TemplateCache } from '../try/template_source';
 import URL from 'url';
 
-const GRAPH_RETIRES = 2;
-const GRAPH_INTERVAL = 5000;
-const GRAPH_REQ_TIMEOUT = 30000;
-const TRY_PREFIX = 'try:';
+// Most retries the queue allows for a task.
+const MAX_RETRIES = 49;
+
+// Errors which prevent a graph from being submitted (see `postGraphErrorJob`).
+const GRAPH_ERRORS = {
+  template: {
+    name: 'Decision Task (template error)',
+    description: 'Unable to render task graph template.'
+  },
+  scopes: {
+    name: 'Decision Task (scope error)',
+    description: 'Task graph requests scopes not allowed by the scope policy.'
+  }
+};
 
 /**
 Parses given url into path and host parts.
@@ -39,48 +55,108 @@ function parseUrl(url) {
 }
 
 /**
-Fetch a task graph from a url (retires included...)
+Revision the push was made on top of. Git pushes carry it as `base`,
+otherwise it is the first parent of the first changeset or null if the
+pushlog does not include parents.
 */
-async function fetchGraph(job, url) {
-  assert(url, 'url is required');
-  console.log(`fetching graph ${url}`);
-  let opts = { interval: GRAPH_INTERVAL, retires: GRAPH_RETIRES };
-  try {
-    return await retry(opts, async () => {
-      let res = await request.get(url).
-        timeout(GRAPH_REQ_TIMEOUT).
-        buffer(true).
-        end();
-
-      if (res.error) throw res.error;
-      return res.text;
-    });
-  } catch (e) {
-    throw new Error(`Could not fetch graph at ${url}\n ${e.stack}`);
-  }
+function baseRevision(push) {
+  if (push.base) return push.base;
+  let [first] = push.changesets;
+  return (first && first.parents && first.parents[0]) || null;
 }
 
 /**
-Parse out a try flag in the commit message.
+Convert the tasks of a (task-graph scheduler style) graph into task
+definitions for the queue. Every task joins the given task group, the
+`requires` of each task become its `dependencies`, its `reruns` become the
+task's `retries` (unless it sets them) and tasks are ordered so dependencies
+are always created first.
+
+  taskGroupDefinitions(taskGroupId, graph);
+  // => [{ taskId, task }, ...]
+
 */
-function parseCommitMessage(message) {
-  let tryIdx = message.indexOf(TRY_PREFIX);
+export function taskGroupDefinitions(taskGroupId, graph, schedulerId) {
+  let byId = new Map(graph.tasks.map(taskInfo => [taskInfo.taskId, taskInfo]));
+  let visited = new Set();
+  let visiting = new Set();
+  let definitions = [];
+
+  function visit(taskInfo) {
+    let { taskId } = taskInfo;
+    if (visited.has(taskId)) return;
+    if (visiting.has(taskId)) {
+      throw new Error(`Task ${taskId} has circular dependencies`);
+    }
+    visiting.add(taskId);
 
-  // No try...
-  if (tryIdx === -1) return null;
+    let requires = taskInfo.requires || [];
+    for (let dependency of requires) {
+      // Dependencies outside of the graph must already exist in the queue.
+      if (byId.has(dependency)) visit(byId.get(dependency));
+    }
+
+    let task = Object.assign({}, taskInfo.task, {
+      taskGroupId,
+      dependencies: Array.from(
+        new Set((taskInfo.task.dependencies || []).concat(requires))
+      )
+    });
+    if (schedulerId) task.schedulerId = schedulerId;
+    if (taskInfo.reruns !== undefined && task.retries === undefined) {
+      task.retries = Math.min(taskInfo.reruns, MAX_RETRIES);
+    }
 
-  // End of try details are first newline or end of string...
-  let endIdx = message.indexOf('\n', tryIdx);
-  endIdx = (endIdx === -1) ? message.length : endIdx;
+    visiting.delete(taskId);
+    visited.add(taskId);
+    definitions.push({ taskId, task });
+  }
 
-  let msg = message.slice(tryIdx, endIdx);
-  return msg;
+  graph.tasks.forEach(visit);
+  return definitions;
+}
+
+/**
+Write the result of a dry run (graph and scopes) as JSON to a file or stdout.
+*/
+async function writeDryRun(output, result) {
+  let json = JSON.stringify(result, null, 2) + '\n';
+  if (output) {
+    await fs.writeFile(output, json);
+    console.log(`[dry run] Wrote graph ${result.id} to ${output}`);
+    return;
+  }
+  process.stdout.write(json);
 }
 
 export default class TaskclusterGraphJob extends Base {
-  async work(job) {
+  constructor(opts = {}) {
+    super(opts);
+
+    // Shared by every job this worker runs...
+    this.templateCache = new TemplateCache(this.config.try.templateCacheSize);
+  }
+
+  /**
+  Fetch and instantiate the graph for a push and apply scopes to it. Nothing
+  is submitted to taskcluster.
+
+  @return {Object} { id, graph, scopes } where scopes are those which would
+                   authorize the creation of the graph or { id, error } if the
+                   template could not be rendered.
+  */
+  async renderGraph(job) {
     let { revision_hash, pushref, repo } = job.data;
-    let push = await this.runtime.pushlog.getOne(repo.url, pushref.id);
+
+    // The graph id, time and task ids of the first attempt are kept in the job
+    // data (see `work`) so retries render exactly the same graph.
+    job.data.graphId = job.data.graphId || slugid.nice();
+    job.data.now = job.data.now || new Date().toJSON();
+    job.data.slugids = job.data.slugids || {};
+
+    let push = await this.runtime.pushlog.
+      forRepository(repo).
+      getOne(repo.url, pushref.id);
     let lastChangeset = push.changesets[push.changesets.length - 1];
 
     let repositoryUrlParts = parseUrl(repo.url);
@@ -93,18 +169,28 @@ export default class TaskclusterGraphJob extends Base {
     };
 
     // Try fetching from .taskgraph.yml, the preferred location, falling back
-    // to the project URL The latter is supported only for branches to which
-    // .taskcluster.yml (and the task-graph generation support in taskcluster/
-    // to which it points) has not yet been merged.
-    let graphUrl, graphText;
-    try {
-      graphUrl = projectConfig.tcYamlUrl(this.config.try, urlVariables);
-      console.log(`Fetching '.taskcluster.yml' url ${graphUrl} for '${repo.alias}' push id ${push.id}`);
-      graphText = await fetchGraph(job, graphUrl);
-    } catch (err) {
-      graphUrl = projectConfig.url(this.config.try, repo.alias, urlVariables);
-      console.log(`Fetching url ${graphUrl} for '${repo.alias}' push id ${push.id}`);
-      graphText = await fetchGraph(job, graphUrl);
+    // to the project URL (only when there is no .taskcluster.yml). The latter
+    // is supported only for branches to which .taskcluster.yml (and the
+    // task-graph generation support in taskcluster/ to which it points) has
+    // not yet been merged.
+    console.log(`Fetching template for '${repo.alias}' push id ${push.id}`);
+    let { url: graphUrl, text: graphText } = await fetchTemplate([
+      projectConfig.tcYamlUrl(this.config.try, urlVariables),
+      projectConfig.url(this.config.try, repo.alias, urlVariables)
+    ], {
+      repository: repo.url,
+      revision: lastChangeset.node,
+      mirrors: this.config.try.mirrors,
+      cache: this.templateCache
+    });
+
+    let trySyntax = parseTrySyntax(lastChangeset.desc);
+    if (trySyntax && (trySyntax.unknown.length || trySyntax.errors.length)) {
+      console.log(
+        `Problems with try syntax for '${repo.alias}' push id ${push.id} ` +
+        `unknown: ${trySyntax.unknown.join(' ') || 'none'} ` +
+        `errors: ${trySyntax.errors.join(', ') || 'none'}`
+      );
     }
 
     let variables = {
@@ -115,58 +201,68 @@ export default class TaskclusterGraphJob extends Base {
       level: projectConfig.level(this.config.try, repo.alias),
       revision_hash,
       // Intention use of ' ' must be a non zero length string...
-      comment: parseCommitMessage(lastChangeset.desc) || ' ',
+      comment: (trySyntax && trySyntax.message) || ' ',
+      try: trySyntax,
       pushlog_id: String(push.id),
+      files: changedFiles(push.changesets),
+      changesets: push.changesets.map((changeset) => {
+        let { node, author, desc, files, branch } = changeset;
+        return { node, author, desc, files: files || [], branch };
+      }),
+      pushdate: push.date,
+      base_revision: baseRevision(push),
       url: repo.url,
-      importScopes: true
+      importScopes: true,
+      now: job.data.now,
+      slugids: job.data.slugids
     };
 
+    let id = job.data.graphId;
     let graph;
     try {
       graph = instantiate(graphText, variables);
     } catch (e) {
-      console.log("Error creating graph due to yaml syntax errors...", e);
-      // Even though we won't end up doing anything overly useful we still need
-      // to convey some status to the end user ... The instantiate error should
-      // be safe to pass as it is simply some yaml error.
-      let errorGraphUrl =
-        mustache.render(this.config.try.errorTaskUrl, urlVariables);
-      let errorGraph = await fetchGraph(job, errorGraphUrl);
-      graph = instantiate(errorGraph, variables);
-      graph.tasks[0].task.payload.env = graph.tasks[0].task.payload.env || {};
-      graph.tasks[0].task.payload.env.ERROR_MSG = e.toString()
-    }
-
-    let id = slugid.nice();
-    let scopes = projectConfig.scopes(this.config.try, repo.alias);
-
-    // strip `version`; this is temporary while we are still using the task-graph scheduler
-    delete graph.version;
+      console.log("Error creating graph due to template errors...", e);
+      // Nothing can be submitted but we still need to convey some status to
+      // the end user (see `postGraphErrorJob`).
+      return {
+        id,
+        error: Object.assign(
+          { url: graphUrl, revision: lastChangeset.node, owner: push.user },
+          describeTemplateError(e, graphText)
+        )
+      };
+    }
 
-    let scheduler = new taskcluster.Scheduler({
-      credentials: this.config.taskcluster.credentials,
-      // Include scopes for creating and extending task graphs.
-      authorizedScopes: scopes.concat(['scheduler:create-task-graph', 'scheduler:extend-task-graph:*'])
-    });
+    let scopes = projectConfig.scopes(this.config.try, repo.alias);
+    let scheduler = projectConfig.scheduler(this.config.try, repo.alias);
 
     // Assign maximum level of scopes to the graph....
     graph.scopes = scopes;
 
-    // Add the scope to extend the task graph to all decision tasks within the graph.
-    // Currently some decision tasks might not contain this scope.  This is a temporary
-    // solution until those decision tasks are migrated over to use the big-graph
-    // scheduler, at which point this scope is moot.
     for (let taskInfo of graph.tasks) {
-      let task = taskInfo.task;
-      task.scopes = task.scopes || [];
-      if (!task.scopes.includes('scheduler:extend-task-graph:*')) {
-        // Log a message when this happens so these tasks can be tracked down
-        // and fixed
-        console.log(
-          `Decision Task does not contain scopes necessary for extending ` +
-          `task graph. Adding extend-task-graph scope. Task ID: ${taskInfo.taskId}`
-        );
-        task.scopes = task.scopes.concat(['scheduler:extend-task-graph:*']);
+      taskInfo.task.scopes = taskInfo.task.scopes || [];
+    }
+
+    if (scheduler === 'task-graph') {
+      // strip `version`; this is temporary while we are still using the task-graph scheduler
+      delete graph.version;
+
+      // Add the scope to extend the task graph to all decision tasks within the graph.
+      // Currently some decision tasks might not contain this scope.  This is a temporary
+      // solution until those decision tasks are migrated over to use the big-graph
+      // scheduler, at which point this scope is moot.
+      for (let taskInfo of graph.tasks) {
+        let task = taskInfo.task;
+        if (!task.scopes.includes('scheduler:extend-task-graph:*')) {
+          // Log a message when this happens so these tasks can be tracked down
+          // and fixed
+          console.log(
+            `Decision Task does not contain scopes necessary for extending ` +
+            `task graph. Adding extend-task-graph scope. Task ID: ${taskInfo.taskId}`
+          );
+          task.scopes = task.scopes.concat(['scheduler:extend-task-graph:*']);
+        }
       }
     }
 
@@ -181,6 +277,101 @@ export default class TaskclusterGraphJob extends Base {
       }
     }
 
+    // Check the final scopes of every task (including the scopes added above)
+    // against the policy for the project's level.
+    let violations =
+      projectConfig.scopeViolations(this.config.try, repo.alias, graph);
+    if (violations.length) {
+      let level = projectConfig.level(this.config.try, repo.alias);
+      let message = `level ${level} tasks may not request ` + violations.map(
+        ({ taskId, name, scope }) => `${scope} (${name || 'task'} ${taskId})`
+      ).join(', ');
+      console.log(`Scope policy violation for '${repo.alias}' push id ${push.id}: ${message}`);
+      return {
+        id,
+        error: {
+          type: 'scopes',
+          url: graphUrl,
+          revision: lastChangeset.node,
+          owner: push.user,
+          message
+        }
+      };
+    }
+
+    if (scheduler === 'queue') {
+      let schedulerId = projectConfig.schedulerId(this.config.try, repo.alias);
+      return {
+        id,
+        scheduler,
+        scopes,
+        tasks: taskGroupDefinitions(id, graph, schedulerId)
+      };
+    }
+
+    return {
+      id,
+      scheduler,
+      graph,
+      // Include scopes for creating and extending task graphs.
+      scopes: scopes.concat(['scheduler:create-task-graph', 'scheduler:extend-task-graph:*'])
+    };
+  }
+
+  /**
+  Render the graph for a push and submit it. When `dryRun` is set in the job
+  data (or `try.dryRun` in the config) the graph is written to `output` (or
+  `try.dryRunOutput`, defaulting to stdout) instead of being submitted.
+  */
+  async work(job) {
+    let { repo, dryRun, output, ignoreRateLimits } = job.data;
+    dryRun = dryRun || this.config.try.dryRun;
+
+    if (job.data.coalesce && await this.coalesceIntoNewer(job, dryRun)) {
+      await this.leaveRateLimitQueue(job);
+      return;
+    }
+
+    if (!dryRun && !ignoreRateLimits && await this.delayIfLimited(job)) {
+      return;
+    }
+    await this.leaveRateLimitQueue(job);
+
+    let result = await this.renderGraph(job);
+
+    if (dryRun) {
+      if (result.error) {
+        console.log(`[dry run] ${formatTemplateError(result.error.url, result.error)}`);
+      }
+      await writeDryRun(
+        output || this.config.try.dryRunOutput,
+        Object.assign({ project: repo.alias }, result)
+      );
+      return;
+    }
+
+    if (result.error) {
+      await this.postGraphErrorJob(repo, job.data.revision_hash, result.error);
+      return;
+    }
+
+    // Tasks are created one at a time so a failure may leave some of them
+    // behind, the retry must create the same tasks (which the queue allows)
+    // rather then starting another task group. Jobs created by hand (see
+    // bin/create_graph) are never retried and have nothing to persist.
+    if (job.update) await denodeify(job.update).call(job);
+
+    if (result.scheduler === 'queue') {
+      await this.createTaskGroup(repo, result);
+      return;
+    }
+
+    let { id, graph, scopes } = result;
+    let scheduler = new taskcluster.Scheduler({
+      credentials: this.config.taskcluster.credentials,
+      authorizedScopes: scopes
+    });
+
     console.log(
         `Posting job for project '${repo.alias}' with id ${id} ` +
         `and scopes ${graph.scopes.join(', ')}`
@@ -192,4 +383,170 @@ export default class TaskclusterGraphJob extends Base {
       throw e;
     }
   }
+  /**
+  Check if a newer push of the repository has been recorded (see
+  ./coalesce.js) in which case this push does not get a graph. Unless
+  disabled for the project a "coalesced" job pointing at the newer push is
+  posted to treeherder instead.
+
+  @return {Boolean} true if the push was coalesced.
+  */
+  async coalesceIntoNewer(job, dryRun) {
+    let { repo, pushref, revision_hash } = job.data;
+    let newest = await coalescing.newestPush(this.runtime.jobs, repo.id);
+    if (!newest || newest <= pushref.id) return false;
+
+    console.log(
+      `Coalesced graph for '${repo.alias}' push id ${pushref.id} into ` +
+      `push id ${newest}`
+    );
+
+    let settings = projectConfig.coalesce(this.config.try, repo.alias);
+    if (dryRun || (settings && !settings.report)) return true;
+
+    let pushlog = this.runtime.pushlog.forRepository(repo);
+    let push = await pushlog.getOne(repo.url, pushref.id);
+    let newer = await pushlog.getOne(repo.url, newest);
+    let revision = push.changesets[push.changesets.length - 1].node;
+    let newerRevision = newer.changesets[newer.changesets.length - 1].node;
+
+    let task = {
+      workerType: 'taskcluster',
+      created: new Date().toJSON(),
+      metadata: {
+        name: 'Decision Task (coalesced)',
+        owner: push.user
+      },
+      extra: {
+        treeherder: { symbol: 'D' }
+      }
+    };
+
+    let treeherderJob = coalescedJob(task, {
+      url: `${repo.url.replace(/\/$/, '')}/rev/${newerRevision}`,
+      value: newerRevision,
+      title: 'Coalesced into'
+    });
+
+    try {
+      await postJob(this.config, repo.alias, revision, revision_hash, treeherderJob);
+    } catch (err) {
+      // Best effort the push has been coalesced either way...
+      console.log(`Error pushing coalesced status to treeherder. ${err}`);
+    }
+    return true;
+  }
+
+  /**
+  Take a token from the rate limit buckets of the project (see
+  ./rate_limit.js). When the project (or all projects together) are over
+  their limit the job is scheduled again once the buckets have refilled.
+
+  @return {Boolean} true if the job was delayed.
+  */
+  async delayIfLimited(job) {
+    let { repo, pushref, delayed } = job.data;
+    let jobs = this.runtime.jobs;
+    let buckets = projectConfig.rateLimits(this.config.try, repo.alias);
+    if (!buckets.length) return false;
+
+    let wait = await rateLimit.take(jobs, buckets);
+    if (!wait) return false;
+
+    let next = this.createJob(
+      'taskcluster-graph', Object.assign({}, job.data, { delayed: true })
+    );
+    next.attempts(10);
+    next.searchKeys(['repo.alias', 'push.id']);
+    next.backoff({ type: 'exponential', delay: 1000 * 30 });
+    next.delay(wait);
+
+    // The idempotency key of the push was claimed by the original job.
+    await this.scheduleJob(next);
+
+    let depth = delayed ?
+      (await rateLimit.queueDepth(jobs))[repo.alias] || 0 :
+      await rateLimit.changeDepth(jobs, repo.alias, 1);
+
+    console.log(
+      `Rate limited graph for '${repo.alias}' push id ${pushref.id} ` +
+      `delayed ${wait}ms (${depth} graph(s) waiting for '${repo.alias}')`
+    );
+    return true;
+  }
+
+  /**
+  A delayed job stops waiting once it is either coalesced or allowed to
+  submit its graph, remove it from the number of delayed jobs of the project.
+  The job data is updated first so retries of the job do not count it again.
+  */
+  async leaveRateLimitQueue(job) {
+    let { repo, delayed } = job.data;
+    if (!delayed) return;
+
+    job.data.delayed = false;
+    await denodeify(job.update).call(job);
+    await rateLimit.changeDepth(this.runtime.jobs, repo.alias, -1);
+  }
+
+  /**
+  Report a graph which could not be rendered (or violates the scope policy)
+  to treeherder as a decision job with an exception result so the author can
+  see what broke.
+  */
+  async postGraphErrorJob(repo, revisionHash, error) {
+    let { name, description } = GRAPH_ERRORS[error.type || 'template'];
+    let summary = formatTemplateError(error.url, error);
+    let task = {
+      workerType: 'taskcluster',
+      created: new Date().toJSON(),
+      metadata: {
+        name,
+        owner: error.owner
+      },
+      extra: {
+        treeherder: { symbol: 'D' }
+      }
+    };
+
+    let job = errorJob(
+      task,
+      [`[taskcluster:error] ${description} ${summary}`],
+      [{ url: error.url, value: Path.basename(error.url), title: 'Template' }]
+    );
+
+    try {
+      await postJob(this.config, repo.alias, error.revision, revisionHash, job);
+    } catch (err) {
+      // Best effort the error has already been logged...
+      console.log(`Error pushing graph error status to treeherder. ${err}`);
+    }
+  }
+
+  /**
+  Create the tasks of a rendered graph directly in the queue (in dependency
+  order) sharing a single task group.
+  */
+  async createTaskGroup(repo, { id, tasks, scopes }) {
+    let queue = new taskcluster.Queue({
+      credentials: this.config.taskcluster.credentials,
+      authorizedScopes: scopes
+    });
+
+    console.log(
+        `Creating task group for project '${repo.alias}' with id ${id}, ` +
+        `${tasks.length} task(s) and scopes ${scopes.join(', ')}`
+    );
+    for (let { taskId, task } of tasks) {
+      try {
+        await queue.createTask(taskId, task);
+      } catch (e) {
+        console.log(
+          `Error creating task ${taskId} in task group ${id} for ` +
+          `'${repo.alias}', ${JSON.stringify(e, null, 2)}`
+        );
+        throw e;
+      }
+    }
+  }
 }
@@ -4,6 +4,10 @@ import denodeify from 'denodeify'
 import PushExchange from '../exchanges/push';
 import Treeherder from 'mozilla-treeherder/project';
 import Base from './base';
+import * as projectConfig from '../project_scopes';
+import { evaluateSkipRules } from '../try/skip_rules';
+import { evaluatePaths, changedFiles } from '../try/paths';
+import * as coalescing from './coalesce';
 
 let Joi = require('joi');
 
@@ -15,25 +19,42 @@ export default class TreeherderResultsetJob extends Base {
     this.projects = this.config.try.projects;
   }
 
-  async scheduleTaskGraphJob(resultset, repo, pushref) {
+  async scheduleTaskGraphJob(resultset, repo, pushref, allowCoalesce = true) {
     // After we create the resultset it is safe to post over the taskcluster
     // graph...
+    let coalesce =
+      allowCoalesce && projectConfig.coalesce(this.config.try, repo.alias);
     let job = this.createJob('taskcluster-graph', {
       title: `Create graph ${repo.alias}@${resultset.revision}`,
       revision_hash: resultset.revision_hash,
       repo,
       pushref,
+      coalesce: !!coalesce
     });
 
     job.attempts(10);
     job.searchKeys(['repo.alias', 'push.id']);
     job.backoff({ type: 'exponential', delay: 1000 * 30 });
-    await this.scheduleJob(job);
+    // Give newer pushes a chance to land before the graph is created...
+    if (coalesce) job.delay(coalesce.window);
+
+    // Duplicate pushes (or retries of this job) must never create a second
+    // decision graph for the same push.
+    let scheduled = await this.scheduleJob(
+      job, this.idempotencyKey('taskcluster-graph', repo.id, pushref.id)
+    );
+
+    // Older pushes may only be coalesced into this one once its job exists.
+    if (scheduled && coalesce) {
+      await coalescing.recordPush(this.runtime.jobs, repo.id, pushref.id);
+    }
   }
 
   async work(job) {
-    let { repo, pushref } = job.data;
-    let push = await this.runtime.pushlog.getOne(repo.url, pushref.id);
+    let { repo, pushref, skipGraph, coalesce } = job.data;
+    let push = await this.runtime.pushlog.
+      forRepository(repo).
+      getOne(repo.url, pushref.id);
 
     let treeherderProject = new Treeherder(repo.alias, {
       clientId: this.config.treeherder.credentials.clientId,
@@ -64,6 +85,12 @@ export default class TreeherderResultsetJob extends Base {
       return;
     }
 
+    // Backfills may only want the resultset...
+    if (skipGraph) {
+      console.log(`Skipping task graph for project '${repo.alias}' (skipGraph)`);
+      return;
+    }
+
     let tryProject = this.projects[repo.alias];
     // We only want to schedule task graphs for those projects that are explicitly
     // enabled.
@@ -75,25 +102,25 @@ export default class TreeherderResultsetJob extends Base {
       return;
     }
 
-    let lastRev = resultset.revisions[resultset.revisions.length - 1];
-
-    // Common idom is to include "DONTBUILD" in changes to ammend something in a
-    // previous commit like code comments or modify something that is not part
-    // of CI.
-    if (lastRev.comment.indexOf("DONTBUILD") !== -1) {
-      console.log(`Commit for project '${repo.alias}' contains DONTBUILD, skipping`);
-      return;
-    }
-
-    if (tryProject.contains && !lastRev.comment.includes(tryProject.contains)) {
+    let skip =
+      evaluateSkipRules(
+        projectConfig.skipRules(this.config.try, repo.alias), resultset
+      ) ||
+      evaluatePaths(
+        projectConfig.paths(this.config.try, repo.alias),
+        changedFiles(resultset.revisions)
+      );
+    if (skip) {
       console.log(
-          `Skipping submitting graph for project '${repo.alias}'. ` +
-          `Commit does not contain ${tryProject.contains}`
+        `Skipping submitting graph for project '${repo.alias}'. ` +
+        `Matched skip rule ${skip.rule} (${skip.pattern}): ${skip.reason}`
       );
       return;
     }
 
     console.log(`Scheduling taskcluster jobs for project '${repo.alias}'`);
-    await this.scheduleTaskGraphJob(resultset, repo, pushref);
+    // Replayed pushes (see ../pushlog/backfill.js) are older then the newest
+    // push by definition so are never coalesced.
+    await this.scheduleTaskGraphJob(resultset, repo, pushref, coalesce !== false);
   }
 }
@@ -4,6 +4,7 @@ Helpers for dealing with the config structure of "try".
 
 import mustache from 'mustache';
 import Joi from 'joi';
+import { parseTime, relativeTime } from './try/time';
 
 const URL_SCHEMA = Joi.object().keys({
   alias: Joi.string().required(),
@@ -12,6 +13,12 @@ const URL_SCHEMA = Joi.object().keys({
   host: Joi.string().required()
 });
 
+export const DEFAULT_SCHEDULER = 'task-graph';
+export const SCHEDULERS = ['task-graph', 'queue'];
+
+export const DEFAULT_RETRIGGER = 'dependents';
+export const RETRIGGER_MODES = ['dependents', 'upstream'];
+
 function getProject(config, name, allowMissing = false) {
   let project = config.projects[name];
   if (project) return project;
@@ -34,6 +41,153 @@ export function level(config, project) {
   return project.level || 1;
 }
 
+/**
+How graphs for a project are submitted: "task-graph" (the task-graph
+scheduler) or "queue" (tasks created directly in a task group).
+*/
+export function scheduler(config, project) {
+  let project = getProject(config, project, false);
+  return project.scheduler || DEFAULT_SCHEDULER;
+}
+
+/**
+How tasks in a task group are retriggered: "dependents" duplicates the task
+and every task depending on it, "upstream" duplicates only the task (and any
+of its dependencies which can no longer be used).
+*/
+export function retrigger(config, project) {
+  let project = getProject(config, project, false);
+  return project.retrigger || DEFAULT_RETRIGGER;
+}
+
+export function schedulerId(config, project) {
+  let project = getProject(config, project, false);
+  return project.schedulerId;
+}
+
+/**
+Skip rules (see ./try/skip_rules.js, DONTBUILD is always skipped on top of
+these) for a project. Each group of rules
+(messages, files, authors) in the project overrides the same keys of the
+defaults in `try.skip`. The deprecated `contains` option is treated as a
+`messages.include` rule.
+*/
+export function skipRules(config, project) {
+  let project = getProject(config, project, false);
+  let defaults = config.skip || {};
+  let overrides = project.skip || {};
+
+  let rules = {};
+  for (let group of ['messages', 'files', 'authors']) {
+    rules[group] = Object.assign({}, defaults[group], overrides[group]);
+  }
+
+  if (project.contains && !rules.messages.include) {
+    rules.messages.include = project.contains.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return rules;
+}
+
+/**
+Path globs (see ./try/paths.js) for a project.
+*/
+export function paths(config, project) {
+  let project = getProject(config, project, false);
+  return {
+    paths: project.paths,
+    ignorePaths: project.ignorePaths
+  };
+}
+
+/**
+Convert a coalescing window ("2 minutes") into ms. Throws (prefixed with the
+location of the window in the config) unless it is a positive time.
+*/
+export function coalesceWindow(window, location = 'coalesce.window') {
+  let ms;
+  try {
+    ms = relativeTime(parseTime(window), new Date(0)).getTime();
+  } catch (e) {
+    throw new Error(`${location}: ${e.message}`);
+  }
+
+  if (!(ms > 0)) {
+    throw new Error(`${location}: Window "${window}" must be a positive time`);
+  }
+  return ms;
+}
+
+/**
+Coalescing (see ./jobs/coalesce.js) for a project or null when its pushes
+always get their own graph.
+
+@return {Object|null} { window, report } window in ms.
+*/
+export function coalesce(config, project) {
+  let { coalesce } = getProject(config, project, false);
+  if (!coalesce) return null;
+  return {
+    window: coalesceWindow(coalesce.window),
+    report: coalesce.report !== false
+  };
+}
+
+/**
+Token buckets (see ./jobs/rate_limit.js) limiting how quickly graphs of a
+project are submitted: the project's own `rateLimit` and the global
+`try.rateLimit` shared by every project.
+*/
+export function rateLimits(config, project) {
+  let { rateLimit } = getProject(config, project, false);
+  let buckets = [];
+  if (rateLimit) buckets.push({ name: `project/${project}`, limit: rateLimit });
+  if (config.rateLimit) buckets.push({ name: 'global', limit: config.rateLimit });
+  return buckets;
+}
+
+/**
+Does the given scope satisfy the required one? Scopes ending in `*` satisfy
+every scope starting with the text before the `*` (so `assume:repo:*`
+satisfies `assume:repo:hg.mozilla.org/try:*` but not `assume:*`).
+*/
+export function scopeSatisfies(scope, required) {
+  if (scope === required) return true;
+  if (scope[scope.length - 1] !== '*') return false;
+  return required.indexOf(scope.slice(0, -1)) === 0;
+}
+
+/**
+Scopes tasks of a project may request based on its level (see
+`try.scopePolicy`) or null when there is no policy. Levels missing from a
+policy may not request any scopes.
+*/
+export function scopePolicy(config, project) {
+  if (!config.scopePolicy) return null;
+  return config.scopePolicy[String(level(config, project))] || [];
+}
+
+/**
+Find the scopes of tasks in a (rendered) graph which are not allowed by the
+policy of the project.
+
+@return {Array} [{ taskId, name, scope }] empty when every scope is allowed.
+*/
+export function scopeViolations(config, project, graph) {
+  let allowed = scopePolicy(config, project);
+  if (!allowed) return [];
+
+  let violations = [];
+  for (let taskInfo of (graph.tasks || [])) {
+    let task = taskInfo.task || {};
+    let name = task.metadata && task.metadata.name;
+    for (let scope of (task.scopes || [])) {
+      if (allowed.some(allow => scopeSatisfies(allow, scope))) continue;
+      violations.push({ taskId: taskInfo.taskId, name, scope });
+    }
+  }
+  return violations;
+}
+
 export function tcYamlUrl(config, params = {}) {
   Joi.assert(params, URL_SCHEMA);
   let url = config.tcYamlUrl;
@@ -0,0 +1,222 @@
+/**
+HTTP admin api for managing the Repositories collection (and auditing the
+Gaps collection). Changes are applied to the running monitor as they are made
+so no restart is required.
+
+  GET    /repositories          list all repositories
+  POST   /repositories          create a repository
+  GET    /repositories/{id}     fetch a repository
+  PATCH  /repositories/{id}     update fields of a repository (alias,
+                                lastPushId, enabled, etc...)
+  DELETE /repositories/{id}     remove a repository
+  GET    /gaps                  list skipped push ranges (?backfilled=false
+                                only lists gaps which still need a backfill)
+  POST   /gaps/{id}/backfilled  mark a gap as backfilled
+  GET    /graph-queue           number of rate limited task graphs waiting
+                                for each project
+
+All requests must include `Authorization: Bearer <accessToken>`.
+*/
+
+import Hapi from 'hapi';
+import Debug from 'debug';
+import denodeify from 'denodeify';
+import { queueDepth } from '../jobs/rate_limit';
+import { releasePushes } from '../jobs/idempotency';
+
+let debug = Debug('pushlog:admin');
+
+// Mongodb error code for unique index violations.
+const DUPLICATE_KEY = 11000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.message = message;
+    this.status = status;
+  }
+}
+
+// Documents are returned without any mongo internals...
+function format(doc) {
+  let result = Object.assign({}, doc);
+  delete result._id;
+  return result;
+}
+
+/**
+Wrap an async route handler with authentication and error handling.
+*/
+function handler(options, fn) {
+  return function(request, reply) {
+    let auth = request.headers.authorization;
+    if (auth !== `Bearer ${options.accessToken}`) {
+      return reply({ message: 'Invalid or missing access token' }).code(401);
+    }
+
+    fn(request).then(([status, body]) => {
+      reply(body).code(status);
+    }).catch((err) => {
+      if (err instanceof HttpError) {
+        return reply({ message: err.message }).code(err.status);
+      }
+
+      if (err.name === 'ValidationError') {
+        return reply({ message: err.message }).code(400);
+      }
+
+      if (err.code === DUPLICATE_KEY) {
+        return reply({ message: 'Repository already exists' }).code(409);
+      }
+
+      console.error('Error handling admin request', err.stack);
+      reply({ message: 'Internal error' }).code(500);
+    });
+  };
+}
+
+/**
+Create (but do not start) the admin server.
+
+@param {Monitor} monitor which is kept up to date with changes.
+@param {Object} runtime (repositories and gaps collections and jobs are
+                        used).
+@param {Object} options admin configuration (port, accessToken).
+@return {Hapi.Server}
+*/
+export function createServer(monitor, runtime, options = {}) {
+  let repos = runtime.repositories;
+  let gaps = runtime.gaps;
+  let server = new Hapi.Server();
+  server.connection({ port: options.port });
+
+  async function find(id) {
+    let doc = await repos.findById(id);
+    if (!doc) throw new HttpError(404, `Unknown repository ${id}`);
+    return doc;
+  }
+
+  server.route({
+    method: 'GET',
+    path: '/repositories',
+    handler: handler(options, async function() {
+      let docs = await repos.find();
+      return [200, { repositories: docs.map(format) }];
+    })
+  });
+
+  server.route({
+    method: 'GET',
+    path: '/repositories/{id}',
+    handler: handler(options, async function(request) {
+      return [200, format(await find(request.params.id))];
+    })
+  });
+
+  server.route({
+    method: 'POST',
+    path: '/repositories',
+    handler: handler(options, async function(request) {
+      let doc = format(request.payload || {});
+      let created = await repos.create(doc);
+      debug('created repository', created.id);
+
+      monitor.updateRepository(created);
+      return [201, format(created)];
+    })
+  });
+
+  server.route({
+    method: 'PATCH',
+    path: '/repositories/{id}',
+    handler: handler(options, async function(request) {
+      let id = request.params.id;
+      let changes = format(request.payload || {});
+      // The id is derived from the url and cannot be set directly.
+      delete changes.id;
+
+      // Only the monitor may change the outbox (it holds jobs which have not
+      // yet been scheduled).
+      if (changes.hasOwnProperty('outbox')) {
+        throw new HttpError(400, 'outbox cannot be changed');
+      }
+
+      let current = await find(id);
+      let updated = await repos.update(id, changes);
+      if (!updated) throw new HttpError(404, `Unknown repository ${id}`);
+      debug('updated repository', id, updated.id);
+
+      // Moving lastPushId back replays the newer pushes which would otherwise
+      // be dropped as duplicates (see ../jobs/idempotency.js). Keys must be
+      // released before the monitor learns of the change.
+      if (updated.lastPushId < current.lastPushId) {
+        let released =
+          await releasePushes(runtime.jobs, id, updated.lastPushId);
+        debug('released %d idempotency keys of %s', released, id);
+      }
+
+      if (updated.id !== id) {
+        monitor.removeRepository(id);
+      }
+      monitor.updateRepository(updated);
+      return [200, format(updated)];
+    })
+  });
+
+  server.route({
+    method: 'DELETE',
+    path: '/repositories/{id}',
+    handler: handler(options, async function(request) {
+      let removed = await repos.remove(request.params.id);
+      if (!removed) {
+        throw new HttpError(404, `Unknown repository ${request.params.id}`);
+      }
+      debug('removed repository', request.params.id);
+
+      monitor.removeRepository(request.params.id);
+      return [204, null];
+    })
+  });
+
+  server.route({
+    method: 'GET',
+    path: '/gaps',
+    handler: handler(options, async function(request) {
+      let query = {};
+      if (request.query.backfilled) {
+        query.backfilled = request.query.backfilled === 'true';
+      }
+
+      let docs = await gaps.find(query);
+      docs.sort((a, b) => a.detected - b.detected);
+      return [200, { gaps: docs.map(format) }];
+    })
+  });
+
+  server.route({
+    method: 'POST',
+    path: '/gaps/{id}/backfilled',
+    handler: handler(options, async function(request) {
+      let doc = await gaps.findById(request.params.id);
+      if (!doc) throw new HttpError(404, `Unknown gap ${request.params.id}`);
+      return [200, format(await gaps.markBackfilled(doc.id))];
+    })
+  });
+
+  server.route({
+    method: 'GET',
+    path: '/graph-queue',
+    handler: handler(options, async function() {
+      return [200, { projects: await queueDepth(runtime.jobs) }];
+    })
+  });
+
+  return server;
+}
+
+export default async function createAdmin(monitor, runtime, options) {
+  let server = createServer(monitor, runtime, options);
+  await denodeify(server.start.bind(server))();
+  console.log(`started repository admin on port ${options.port}`);
+  return server;
+}
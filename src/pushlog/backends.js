@@ -0,0 +1,47 @@
+/**
+Pushlog backends are selected per repository document based on its `type`
+field. Every backend exposes the same interface as the hg `PushlogClient`
+(getLatest, get, getOne, truncate, iterate) and produces pushes in the same
+shape.
+*/
+
+import PushlogClient from './client';
+import GitPushlogClient from './git_client';
+
+export const DEFAULT_TYPE = 'hg';
+export const TYPES = ['hg', 'git'];
+
+export default class PushlogBackends {
+  constructor(options = {}) {
+    this.options = options;
+    // The hg client has no per repository state so one instance is shared to
+    // benefit from socket caching.
+    this.hg = new PushlogClient();
+    // Git clients indexed by branch...
+    this.git = {};
+  }
+
+  /**
+  Return the client to use for a particular repository document.
+  */
+  forRepository(repo) {
+    let type = repo.type || DEFAULT_TYPE;
+    switch (type) {
+      case 'hg':
+        return this.hg;
+      case 'git':
+        let branch = repo.branch || 'master';
+        if (!this.git[branch]) {
+          this.git[branch] = new GitPushlogClient({
+            branch,
+            token: this.options.githubToken
+          });
+        }
+        return this.git[branch];
+      default:
+        throw new Error(
+          `Unknown repository type "${type}" allowed types: ${TYPES.join(', ')}`
+        );
+    }
+  }
+}
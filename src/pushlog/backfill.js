@@ -0,0 +1,79 @@
+/**
+Replay a range of pushes through the same pipeline the monitor uses (see
+bin/backfill.js).
+*/
+
+import Debug from 'debug';
+import _ from 'lodash';
+import { schedulePush } from './monitor';
+import { releasePush } from '../jobs/idempotency';
+
+let debug = Debug('pushlog:backfill');
+
+function sleep(ms) {
+  return new Promise(accept => setTimeout(accept, ms));
+}
+
+/**
+Schedule jobs for every push between start and end (both inclusive).
+
+options:
+{
+  start:        1,     // first push id
+  end:          10,    // last push id
+  publish:      true,  // schedule publish-push jobs
+  resultset:    true,  // schedule treeherder-resultset jobs
+  graph:        true,  // create task graphs after resultsets
+  dryRun:       false, // only log what would be scheduled
+  rateLimit:    0      // maximum pushes per minute (0 is unlimited)
+}
+
+@param {Object} runtime (jobs and pushlog are used).
+@param {Object} repo document.
+@return {Array} scheduled push ids.
+*/
+export default async function backfill(runtime, repo, options) {
+  let { start, end } = options;
+  if (start > end) {
+    throw new Error(`Start must be <= end : ${start} <= ${end}`);
+  }
+
+  let topics = [];
+  if (options.publish) topics.push('publish-push');
+  if (options.resultset) topics.push('treeherder-resultset');
+
+  let delay = options.rateLimit ? (60 * 1000) / options.rateLimit : 0;
+  let client = runtime.pushlog.forRepository(repo);
+  let scheduled = [];
+
+  // Iterate treats the start as exclusive...
+  await client.iterate(repo.url, start - 1, end, async function(push) {
+    let lastChangeset = push.changesets[push.changesets.length - 1];
+    let body = {
+      // The outbox lives in the repository document do not copy it.
+      repo: _.omit(repo, 'outbox'),
+      pushref: { id: push.id },
+      title: `Backfill push ${push.id} for ${repo.alias} cset ${lastChangeset}`,
+      skipGraph: !options.graph,
+      // Every replayed push is older then the newest one...
+      coalesce: false
+    };
+
+    if (options.dryRun) {
+      console.log(`[dry run] ${body.title} topics: ${topics.join(', ')}`);
+    } else {
+      // Pushes seen recently have claimed idempotency keys (the graph job in
+      // particular would be dropped as a duplicate) so release them first.
+      await releasePush(runtime.jobs, repo.id, push.id);
+      debug('scheduling', body.title);
+      await Promise.all(topics.map((topic) => {
+        return schedulePush(runtime.jobs, topic, body);
+      }));
+    }
+
+    scheduled.push(push.id);
+    if (delay) await sleep(delay);
+  });
+
+  return scheduled;
+}
@@ -128,6 +128,19 @@ export default class PushlogClient {
     return res.pushes[0];
   }
 
+  /**
+  Push ids are contiguous so the most recent `max` pushes always start at
+  `lastPushId - max`.
+
+  @param {Object} status from `getLatest`.
+  @param {Number} start id (exclusive).
+  @param {Number} max number of pushes to fetch.
+  @return {Number} id to start fetching from.
+  */
+  truncate(status, start, max) {
+    return Math.max(start, status.lastPushId - max);
+  }
+
   /**
   Iterate through all pushlog entires in chunks to not overload server.
 
@@ -0,0 +1,307 @@
+import request from 'superagent-promise';
+import urljoin from 'urljoin';
+import URL from 'url';
+import Debug from 'debug';
+import _ from 'lodash';
+let Joi = require('joi');
+
+let debug = Debug('pushlog:git_client');
+
+// GitHub only ever exposes the most recent 300 events for a repository.
+const EVENT_PAGES = 3;
+const EVENTS_PER_PAGE = 100;
+
+/**
+Pushlog client for git repositories hosted on GitHub (or anything which speaks
+the same API).
+
+Git has no concept of a pushlog so we use the "PushEvent" entries from the
+repository events api instead. The `push_id` of these events is used as the
+push id so it is always increasing but (unlike hg) is not contiguous. Only
+the most recent events are available so pushes older then them can not be
+fetched. The output is formatted to be identical to the hg `PushlogClient`:
+
+  {
+    lastPushId: 5,
+    range: { start: 2, end: 5 },
+    pushes: [
+      { id: 2, user: 'pusher', date: 1234, changesets: [...] },
+      ...
+    ]
+  }
+
+*/
+export default class GitPushlogClient {
+  constructor(options = {}) {
+    // Branch we consider pushes on...
+    this.branch = options.branch || 'master';
+    // Optional api token (without one GitHub rate limits very aggressively).
+    this.token = options.token;
+  }
+
+  /**
+  Convert the repository url into the api location.
+
+    apiUrl('https://github.com/mozilla/gecko-dev/');
+    // => https://api.github.com/repos/mozilla/gecko-dev
+
+  Hosts other then github.com are assumed to be GitHub Enterprise style hosts
+  which expose the api under /api/v3.
+  */
+  apiUrl(url) {
+    let parsed = URL.parse(url);
+    let path = parsed.pathname.replace(/(\.git)?\/*$/, '');
+
+    if (parsed.host === 'github.com') {
+      return urljoin('https://api.github.com/repos', path);
+    }
+    return urljoin(`${parsed.protocol}//${parsed.host}`, '/api/v3/repos', path);
+  }
+
+  async request(url, query = {}) {
+    let req = request.
+      get(url).
+      set('Accept', 'application/vnd.github.v3+json').
+      query(query);
+
+    if (this.token) {
+      req.set('Authorization', `token ${this.token}`);
+    }
+
+    let res = await req.end();
+    if (res.error) throw res.error;
+    return res.body;
+  }
+
+  formatChangeset(commit, details) {
+    let changeset = {
+      node: commit.sha,
+      author: `${commit.author.name} <${commit.author.email}>`,
+      branch: this.branch,
+      desc: commit.message,
+      files: [],
+      parents: [],
+      tags: []
+    };
+
+    if (details) {
+      changeset.files = (details.files || []).map(file => file.filename);
+      changeset.parents = (details.parents || []).map(parent => parent.sha);
+    }
+    return changeset;
+  }
+
+  formatPush(event) {
+    let { before, head, size } = event.payload;
+    let commits = event.payload.commits || [];
+
+    // The revision the branch pointed at before the push (all zeros when the
+    // push created the branch).
+    let base = (before && !/^0+$/.test(before)) ? before : null;
+
+    return {
+      id: Number(event.payload.push_id),
+      user: event.actor.login,
+      date: Math.floor(new Date(event.created_at).getTime() / 1000),
+      base,
+      head,
+      size: size || commits.length,
+      commits
+    };
+  }
+
+  /**
+  Commits of the push as listed by its event. The last commit is always the
+  head (branch creation and force pushes may not list any commits and larger
+  pushes only list some of them).
+  */
+  eventCommits(push) {
+    let commits = push.commits;
+    let last = commits[commits.length - 1];
+    if (!last || last.sha !== push.head) {
+      commits = commits.concat({
+        sha: push.head,
+        author: { name: push.user, email: '' },
+        message: ''
+      });
+    }
+    return commits;
+  }
+
+  /**
+  All the commits of the push (oldest first). Push events list at most 20
+  commits so the commits of larger pushes are fetched with the compare api.
+  */
+  async pushCommits(url, push) {
+    if (push.size <= push.commits.length || !push.base) {
+      return this.eventCommits(push);
+    }
+
+    let res = await this.request(
+      urljoin(this.apiUrl(url), '/compare/', `${push.base}...${push.head}`)
+    );
+    return res.commits.map((commit) => {
+      return {
+        sha: commit.sha,
+        author: commit.commit.author,
+        message: commit.commit.message
+      };
+    });
+  }
+
+  /**
+  Fetch the pushes to the branch newer then `start` in ascending order. Events
+  are paged through until a push no newer then `start + 1` is seen or `pages`
+  pages have been fetched.
+
+  @return {Object} { pushes, latest, complete } where latest is the id of
+  the most recent push (regardless of start) and complete is false when older
+  events (which may include pushes newer then `start`) were not fetched.
+  */
+  async fetchPushes(url, start = 0, pages = EVENT_PAGES) {
+    let eventsUrl = urljoin(this.apiUrl(url), '/events');
+    let ref = `refs/heads/${this.branch}`;
+    let pushes = [];
+    let complete = false;
+
+    for (let page = 1; page <= pages; page++) {
+      let events = await this.request(eventsUrl, {
+        page,
+        per_page: EVENTS_PER_PAGE
+      });
+
+      for (let event of events) {
+        if (event.type !== 'PushEvent' || event.payload.ref !== ref) continue;
+        pushes.push(this.formatPush(event));
+      }
+
+      // Events are returned newest first so once we have seen the oldest
+      // push we are interested in there is no need to keep paging.
+      let oldest = pushes[pushes.length - 1];
+      if (events.length < EVENTS_PER_PAGE || (oldest && oldest.id <= start + 1)) {
+        complete = true;
+        break;
+      }
+    }
+
+    let latest = pushes.reduce((max, push) => Math.max(max, push.id), 0);
+    pushes = pushes.
+      filter(push => push.id > start).
+      sort((a, b) => a.id - b.id);
+    return { pushes, latest, complete };
+  }
+
+  async formatResult(url, pushes, full) {
+    let result = {
+      lastPushId: pushes.length ? pushes[pushes.length - 1].id : 0
+    };
+
+    result.pushes = [];
+    for (let push of pushes) {
+      let changesets;
+      if (full) {
+        changesets = [];
+        for (let commit of await this.pushCommits(url, push)) {
+          let details = await this.request(
+            urljoin(this.apiUrl(url), '/commits/', commit.sha)
+          );
+          changesets.push(this.formatChangeset(commit, details));
+        }
+      } else {
+        // Like the hg pushlog only the node is given without full...
+        changesets = this.eventCommits(push).map(commit => commit.sha);
+      }
+      result.pushes.push(
+        Object.assign(_.omit(push, 'commits', 'size'), { changesets })
+      );
+    }
+
+    result.range = {
+      start: pushes.length ? pushes[0].id : undefined,
+      end: result.lastPushId || undefined
+    };
+    return result;
+  }
+
+  /**
+  Return the most recent pushes. Only the first page of events is fetched
+  unless `start` (the last push already known of) is given in which case
+  paging continues until it is reached (see `truncate`).
+  */
+  async getLatest(url, start = 0) {
+    let { pushes, latest, complete } =
+      await this.fetchPushes(url, start, start ? EVENT_PAGES : 1);
+    let result = await this.formatResult(url, pushes, false);
+    result.lastPushId = latest;
+    result.complete = complete;
+    return result;
+  }
+
+  /**
+  Fetch all pushes between start (exclusive) and end (inclusive).
+  */
+  async get(url, start=0, end=1, full=false) {
+    Joi.assert(url, Joi.string().required(), 'must pass url');
+    debug('get', url, start, end);
+
+    let { pushes, latest } = await this.fetchPushes(url, start);
+    let result = await this.formatResult(
+      url, pushes.filter(push => push.id <= end), full
+    );
+
+    // Mirror the hg pushlog which reports the last push id regardless of the
+    // range requested.
+    result.lastPushId = latest;
+    return result;
+  }
+
+  /**
+  Fetch a single push. Only pushes within the most recent events can be
+  fetched so older (or unknown) pushes are an error.
+  */
+  async getOne(url, id, full=true) {
+    let res = await this.get(url, id - 1, id, full);
+    if (!res.pushes.length) {
+      throw new Error(
+        `Push ${id} of ${url} is not within the most recent ` +
+        `${EVENT_PAGES * EVENTS_PER_PAGE} repository events`
+      );
+    }
+    return res.pushes[0];
+  }
+
+  /**
+  Push ids are not contiguous so keep only the most recent `max` pushes newer
+  then `start`. When the events fetched by `getLatest` did not reach back to
+  `start` the pushes older then them can not be fetched at all so the start
+  is moved to just before the oldest push fetched.
+
+  @param {Object} status from `getLatest`.
+  @param {Number} start id (exclusive).
+  @param {Number} max number of pushes to fetch.
+  @return {Number} id to start fetching from.
+  */
+  truncate(status, start, max) {
+    let pending = status.pushes.filter(push => push.id > start);
+    if (pending.length > max) return pending[pending.length - max - 1].id;
+    if (!status.complete && pending.length) {
+      return Math.max(start, pending[0].id - 1);
+    }
+    return start;
+  }
+
+  /**
+  Iterate through all the pushes between start (exclusive) and end
+  (inclusive).
+  */
+  async iterate(url, start=0, end=1, fn) {
+    if (start > end) {
+      throw new Error(`Start must be < then end : ${start} < ${end}`);
+    }
+
+    let res = await this.get(url, start, end);
+    for (let push of res.pushes) {
+      await fn(push);
+    }
+  }
+}
@@ -1,39 +1,67 @@
 /**
-The monitor class is designed to watch and update _all_ repositories meaning
-you should never need more then one of these instances running.
+The monitor class is designed to watch and update _all_ repositories. Multiple
+monitors may run at the same time (for availability) when given a leases
+collection: each repository is only checked by the monitor which holds its
+lease. Notifications received by other monitors are forwarded to it through
+the lease.
 */
 import urljoin from 'urljoin';
 import qs from 'querystring';
 import Debug from 'debug';
 import assert from 'assert';
 import denodeify from 'denodeify';
+import slugid from 'slugid';
+import _ from 'lodash';
 
-import PushlogClient from './client';
+import PushlogBackends from './backends';
+import * as idempotency from '../jobs/idempotency';
 
 // 30 seconds...
 const JOB_RETRY_DELAY = 1000 * 30;
 
 let debug = Debug('treeherder-proxy:monitor');
 
+function leaseId(repoId) {
+  return `repository/${repoId}`;
+}
+
 // Behold! The singleton this is done mostly to benefit form the maximum amount
 // of caching in sockets and for ease of use.
-let pushlog = new PushlogClient();
+let pushlog = new PushlogBackends();
 
 // Helper function for sending messages to kue with the defaults sane for the
-// monitor.
-async function schedulePush(jobs, topic, body) {
+// monitor. When an idempotency key is given duplicate messages are dropped.
+export async function schedulePush(jobs, topic, body, idempotencyKey) {
+  if (idempotencyKey && !await idempotency.claim(jobs, idempotencyKey)) {
+    debug('Skipping duplicate job %s', idempotencyKey);
+    return;
+  }
+
   let msg = jobs.create(topic, body).
     attempts(30).
     searchKeys(['repo.alias']).
     backoff({ type: 'exponential', delay: JOB_RETRY_DELAY });
 
-  await denodeify(msg.save.bind(msg))();
+  try {
+    await denodeify(msg.save.bind(msg))();
+  } catch (err) {
+    if (idempotencyKey) await idempotency.release(jobs, idempotencyKey);
+    throw err;
+  }
 }
 
 export default class Monitor {
   constructor(jobs, repos, options={}) {
     this.jobs = jobs;
     this.repos = repos;
+    this.pushlog = options.pushlog || pushlog;
+    // Optional collection used to record skipped pushes.
+    this.gaps = options.gaps;
+    // Optional collection used to coordinate with other monitors.
+    this.leases = options.leases;
+    this.leaseDuration = options.leaseDuration || 5 * 60 * 1000;
+    // Unique id of this monitor (used as the lease owner).
+    this.monitorId = slugid.nice();
     // List of repositories indexed by id.
     this.list = {};
     // List of repositories and their health check indexed by id.
@@ -41,32 +69,215 @@ export default class Monitor {
 
     // Maximum number of pushes to fetch
     this.interval = options.interval || 2000;
+    this.syncInterval = options.syncInterval || 60000;
     this.maxPushFetches = options.maxPushFetches || 100;
   }
 
+  /**
+  Synchronize the monitored list with the Repositories collection. New
+  repositories are added, removed ones are dropped and edited ones are
+  updated (lock state for in progress checks is left alone).
+  */
   async fetchRepositories() {
     let repos = await this.repos.find();
+    let ids = new Set();
     for (let repo of repos) {
-      this.list[repo.id] = repo;
+      ids.add(repo.id);
+      this.updateRepository(repo);
+    }
+
+    for (let id of Object.keys(this.list)) {
+      if (!ids.has(id)) {
+        debug('Repository %s removed', this.list[id].alias);
+        this.removeRepository(id);
+      }
+    }
+  }
+
+  /**
+  Add (or update) a repository in the monitored list. If the repository is not
+  currently being checked its push id is updated too: moving lastPushId back
+  (compared with the previously synced document) resets the lock so it takes
+  effect on the next check. Otherwise the lock never moves backwards as the
+  document may be older then a check which just finished.
+  */
+  updateRepository(repo) {
+    let previous = this.list[repo.id];
+    this.list[repo.id] = repo;
+
+    let lock = this.locks[repo.id];
+    if (!lock || lock.active) return;
+
+    let synced = lock.syncedPushId !== undefined ?
+      lock.syncedPushId :
+      (previous ? previous.lastPushId : repo.lastPushId);
+
+    if (repo.lastPushId < synced) {
+      lock.lastPushId = repo.lastPushId;
+    } else {
+      lock.lastPushId = Math.max(lock.lastPushId, repo.lastPushId);
+    }
+    lock.syncedPushId = repo.lastPushId;
+  }
+
+  /**
+  Stop monitoring a repository.
+  */
+  removeRepository(id) {
+    delete this.list[id];
+    delete this.locks[id];
+  }
+
+  /**
+  Find a repository in the current list by url (ignoring trailing slashes).
+  */
+  findRepository(url) {
+    let normalize = (value) => value.replace(/\/+$/, '');
+    url = normalize(url);
+
+    for (let id of Object.keys(this.list)) {
+      let repo = this.list[id];
+      if (normalize(repo.url) === url) return repo;
+    }
+    return null;
+  }
+
+  /**
+  Notify the monitor of a (potential) new push to the repository at the given
+  url. This runs a check for the repository immediately rather then waiting
+  for the next interval (or asks the monitor holding its lease to).
+
+  @param {String} url of the repository.
+  @return {Boolean} false if the repository is not monitored.
+  */
+  notify(url) {
+    let repo = this.findRepository(url);
+    if (!repo || repo.enabled === false) return false;
+
+    let lock = this.locks[repo.id];
+    if (lock && lock.active) {
+      // A check is already running it may have started prior to the push
+      // landing so ensure we check again once it is done.
+      lock.pending = true;
+      return true;
+    }
+
+    this.tryCheck(repo, true).catch((e) => {
+      console.error(`Error processing notification for ${repo.url}`, e);
+    });
+    return true;
+  }
+
+  /**
+  Check the repositories other monitors were notified of (and forwarded to us
+  as we hold their lease) as soon as possible.
+  */
+  async takeNotifications() {
+    if (!this.leases) return;
+
+    let ids = await this.leases.takeNotified(this.monitorId);
+    for (let id of ids) {
+      let lock = this.locks[id.replace(/^repository\//, '')];
+      if (!lock) continue;
+
+      if (lock.active) {
+        lock.pending = true;
+      } else {
+        // Ensure the check is not skipped due to the pollInterval.
+        lock.lastCheck = 0;
+      }
+    }
+  }
+
+  /**
+  Record the range of pushes (inclusive) which will be skipped.
+  */
+  async recordGap(repo, start, end) {
+    debug('Skipping pushes %d to %d for %s (%s)', start, end, repo.alias, repo.url);
+
+    if (!this.gaps) return;
+    await this.gaps.createIfNotExists({
+      repositoryId: repo.id,
+      alias: repo.alias,
+      url: repo.url,
+      start,
+      end,
+      detected: new Date()
+    });
+  }
+
+  /**
+  Acquire (or renew) the lease for a repository. When the lease was not
+  previously held another monitor may have moved the push id forward so the
+  lock is updated from the database.
+
+  @return {Boolean} true if this monitor may check the repository.
+  */
+  async acquireLease(repo, lock) {
+    if (!this.leases) return true;
+    // Leases are released when stopping do not acquire them again.
+    if (this.stopped) return false;
+
+    let held = await this.leases.acquire(
+      leaseId(repo.id), this.monitorId, this.leaseDuration
+    );
+
+    if (held && !lock.leased) {
+      debug('Acquired lease for %s', repo.alias);
+      let doc = await this.repos.findById(repo.id);
+      if (doc) lock.lastPushId = doc.lastPushId;
+    }
+
+    lock.leased = held;
+    return held;
+  }
+
+  /**
+  Send all jobs in the outbox of the repository to kue. Entries are removed
+  from the outbox only after they have been scheduled so (in the case of
+  crashes) jobs may be sent more then once but never lost.
+  */
+  async dispatch(repo) {
+    let doc = await this.repos.findById(repo.id);
+    let outbox = (doc && doc.outbox) || [];
+
+    for (let entry of outbox) {
+      await schedulePush(this.jobs, entry.topic, entry.body, entry.key);
+      await this.repos.removeFromOutbox(repo.id, entry.id);
+      debug('Dispatched %s for %s', entry.topic, repo.alias);
     }
   }
 
   async runCheck(repo, lock) {
-    let status = await pushlog.getLatest(repo.url);
+    // Send anything left over from a previous (failed) check first.
+    await this.dispatch(repo);
+
+    let client = this.pushlog.forRepository(repo);
     let startID = lock.lastPushId;
+    let status = await client.getLatest(repo.url, startID);
     let endID = status.lastPushId;
 
-    if (endID - startID > this.maxPushFetches) {
-      debug('Beyond maximum pushes for %s truncating fetch', repo.url);
-      startID = endID - this.maxPushFetches;
+    // Repositories may override the maximum number of pushes to fetch...
+    let maxPushFetches = repo.maxPushFetches || this.maxPushFetches;
+    let truncatedID = client.truncate(status, startID, maxPushFetches);
+    if (truncatedID > startID) {
+      debug('Beyond maximum (or available) pushes for %s truncating fetch', repo.url);
+      // New repositories start from recent pushes rather then skipping any.
+      if (startID > 0) await this.recordGap(repo, startID + 1, truncatedID);
+      startID = truncatedID;
     }
 
     if (startID < endID) {
-      await pushlog.iterate(repo.url, startID, endID, async function(push) {
+      await client.iterate(repo.url, startID, endID, async function(push) {
+        // Renew the lease so it cannot expire while processing pushes.
+        if (!await this.acquireLease(repo, lock)) {
+          throw new Error(`Lost lease for ${repo.alias} at push ${push.id}`);
+        }
+
         let doc = await this.repos.findById(repo.id);
-        // In theory it's possible for multiple monitors to be running and
-        // fighting over state... If doc.lastPushId is > then push.id set it to
-        // the push id...
+        // Leases should prevent multiple monitors from fighting over state but
+        // the database may be mutated by hand... If doc.lastPushId is > then
+        // push.id set it to the push id...
         if (doc.lastPushId > push.id) {
           console.error(`
             Potential data race between multiple monitors or database mutations.
@@ -86,58 +297,99 @@ export default class Monitor {
         let title = `Push ${push.id} for ${repo.alias} cset ${titleId}`;
 
         let body = {
-          repo,
+          // The outbox lives in the repository document do not copy it.
+          repo: _.omit(repo, 'outbox'),
           pushref: { id: push.id },
           title: title
         };
 
-        await Promise.all([
-          schedulePush(this.jobs, 'publish-push', body),
-          schedulePush(this.jobs, 'treeherder-resultset', body)
-        ]);
-
-        // For additional safety only update the row if we are sure of it's
-        // lastPushId is exactly one less then the new value.
-        let query = { id: doc.id, lastPushId: doc.lastPushId };
-        doc.lastPushId = push.id;
-        doc.lastChangeset = lastChangeset;
+        let messages = ['publish-push', 'treeherder-resultset'].map((topic) => {
+          return {
+            id: slugid.nice(),
+            // Drops duplicates if we crash between scheduling and removing
+            // the entry (or the push is otherwise seen twice).
+            key: idempotency.idempotencyKey(topic, repo.id, push.id),
+            topic,
+            body
+          };
+        });
 
-        await this.repos.replace(query, doc);
+        // The jobs and the new push id are recorded in a single update so a
+        // crash can never lose the jobs for a push. For additional safety only
+        // update the row if its lastPushId has not changed.
+        await this.repos.recordPush(doc.id, doc.lastPushId, {
+          lastPushId: push.id,
+          lastChangeset
+        }, messages);
 
         lock.lastPushId = push.id;
         debug('Updated push %s now at %d', repo.alias, lock.lastPushId);
+
+        await this.dispatch(repo);
       }.bind(this));
     }
   }
 
-  async tryCheck(repo) {
+  /**
+  Check the repository unless it is already being checked or another monitor
+  holds its lease (which is notified instead when `notified` is true).
+  */
+  async tryCheck(repo, notified = false) {
     // Reference or create the lock...
     let lock = this.locks[repo.id] || {
       active: false,
-      lastPushId: repo.lastPushId
+      pending: false,
+      lastCheck: 0,
+      leased: false,
+      lastPushId: repo.lastPushId,
+      // Push id of the document last synced (see `updateRepository`).
+      syncedPushId: repo.lastPushId
     };
     this.locks[repo.id] = lock;
 
     try {
       lock.active = true;
-      await this.runCheck(repo, lock);
+      lock.lastCheck = Date.now();
+      // Only check repositories we hold the lease for (otherwise another
+      // monitor is responsible for it)...
+      if (await this.acquireLease(repo, lock)) {
+        await this.runCheck(repo, lock);
+      } else if (notified && !this.stopped) {
+        debug('Forwarding notification for %s', repo.alias);
+        await this.leases.notify(leaseId(repo.id));
+      }
     } catch (e) {
       console.log(`Error processing run ${repo.url}\n ${e.stack}`);
       lock.active = false;
     } finally {
       lock.active = false;
     }
+
+    // We were notified of a push while the check was running...
+    if (lock.pending) {
+      lock.pending = false;
+      await this.tryCheck(repo, true);
+    }
   }
 
   async check() {
     debug('run check');
     let ops = []
 
+    try {
+      await this.takeNotifications();
+    } catch (e) {
+      console.error('Error fetching forwarded notifications', e);
+    }
+
     // The idea here is to build up the list of operations then run them in
     // parallel.
     for (let id of Object.keys(this.list)) {
       let repo = this.list[id];
       //debug('check', repo.alias, repo.id);
+      // Monitoring has been paused for this repository...
+      if (repo.enabled === false) continue;
+
       // Repository has not yet been checked...
       if (!(this.locks[repo.id])) {
         ops.push(this.tryCheck(repo));
@@ -145,6 +397,11 @@ export default class Monitor {
       }
 
       let check = this.locks[repo.id];
+      // Repositories may be polled less frequently then every interval...
+      if (repo.pollInterval && Date.now() - check.lastCheck < repo.pollInterval) {
+        continue;
+      }
+
       if (!check.active) {
         ops.push(this.tryCheck(repo));
         continue;
@@ -171,9 +428,30 @@ export default class Monitor {
         console.error('Error processing a check', e);
       })
     }, this.interval);
+
+    // Pick up any changes made to the repositories while we are running...
+    this._syncHandle = setInterval(() => {
+      this.fetchRepositories().catch((e) => {
+        console.error('Error synchronizing repositories', e);
+      });
+    }, this.syncInterval);
   }
 
-  stop() {
+  /**
+  Stop checking repositories and release the leases held by this monitor so
+  others take over without waiting for them to expire.
+  */
+  async stop() {
     clearInterval(this._intervalHandle);
+    clearInterval(this._syncHandle);
+    this.stopped = true;
+
+    if (!this.leases) return;
+    for (let id of Object.keys(this.locks)) {
+      let lock = this.locks[id];
+      if (!lock.leased) continue;
+      lock.leased = false;
+      await this.leases.release(leaseId(id), this.monitorId);
+    }
   }
 }
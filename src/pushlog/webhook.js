@@ -0,0 +1,124 @@
+/**
+HTTP receiver for push notifications. Rather then waiting for the next polling
+interval the monitor is told to check a repository as soon as we are notified
+of a push to it. When a secret is configured the body must be signed with it
+the same way GitHub signs webhooks (see `verifySignature`).
+*/
+
+import Hapi from 'hapi';
+import crypto from 'crypto';
+import Debug from 'debug';
+import denodeify from 'denodeify';
+let Joi = require('joi');
+
+let debug = Debug('pushlog:webhook');
+
+// Headers GitHub sends the signature of the body in along with the digest
+// used for each (strongest first).
+const SIGNATURE_HEADERS = [
+  ['x-hub-signature-256', 'sha256'],
+  ['x-hub-signature', 'sha1']
+];
+
+// Accept either our own simple format ({ url }) or the GitHub push webhook
+// format (which contains a great deal more then we care about).
+const PAYLOAD_SCHEMA = Joi.alternatives().try(
+  Joi.object().keys({
+    url: Joi.string().required().description('url of the pushed repository')
+  }).unknown(true),
+  Joi.object().keys({
+    repository: Joi.object().keys({
+      html_url: Joi.string().required()
+    }).unknown(true).required()
+  }).unknown(true)
+);
+
+/**
+Compare strings in constant time so signatures cannot be guessed one
+character at a time.
+*/
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let idx = 0; idx < a.length; idx++) {
+    diff |= a.charCodeAt(idx) ^ b.charCodeAt(idx);
+  }
+  return diff === 0;
+}
+
+/**
+Verify the HMAC of the raw body given in the `X-Hub-Signature-256` (or
+`X-Hub-Signature`) header as `<digest>=<hex hmac>`.
+
+@param {String} secret shared with the sender.
+@param {Object} headers of the request.
+@param {Buffer} body of the request (as sent).
+@return {Boolean} true if the signature is valid.
+*/
+export function verifySignature(secret, headers, body) {
+  for (let [header, algorithm] of SIGNATURE_HEADERS) {
+    let signature = headers[header];
+    if (!signature) continue;
+
+    let hmac = crypto.createHmac(algorithm, secret).update(body).digest('hex');
+    return safeEqual(signature, `${algorithm}=${hmac}`);
+  }
+  return false;
+}
+
+/**
+Create (but do not start) the webhook server.
+
+@param {Monitor} monitor to notify of pushes.
+@param {Object} options webhook configuration (port, secret).
+@return {Hapi.Server}
+*/
+export function createServer(monitor, options = {}) {
+  let server = new Hapi.Server();
+  server.connection({ port: options.port });
+
+  server.route({
+    method: 'POST',
+    path: '/pushes',
+    config: {
+      // Signatures are of the raw body so it is parsed below.
+      payload: { parse: false }
+    },
+    handler(request, reply) {
+      let body = request.payload || new Buffer(0);
+      if (options.secret && !verifySignature(options.secret, request.headers, body)) {
+        return reply({ message: 'Invalid signature' }).code(401);
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf8') || '{}');
+      } catch (e) {
+        return reply({ message: `Invalid JSON: ${e.message}` }).code(400);
+      }
+
+      let result = Joi.validate(payload, PAYLOAD_SCHEMA);
+      if (result.error) {
+        return reply({ message: result.error.message }).code(400);
+      }
+
+      payload = result.value;
+      let url = payload.url || payload.repository.html_url;
+      debug('notified of push', url);
+
+      if (!monitor.notify(url)) {
+        return reply({ message: `Unknown repository ${url}` }).code(404);
+      }
+      reply({ url }).code(202);
+    }
+  });
+
+  return server;
+}
+
+export default async function createWebhook(monitor, options) {
+  let server = createServer(monitor, options);
+  await denodeify(server.start.bind(server))();
+  console.log(`started pushlog webhook on port ${options.port}`);
+  return server;
+}
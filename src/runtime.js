@@ -2,7 +2,9 @@ import createConnection from './db';
 import kue from 'kue';
 
 import Repos from './collections/repositories';
-import PushlogClient from './pushlog/client';
+import Gaps from './collections/gaps';
+import Leases from './collections/leases';
+import PushlogBackends from './pushlog/backends';
 
 export default async function(config) {
 
@@ -16,7 +18,11 @@ export default async function(config) {
     db,
     kue,
     jobs,
-    pushlog: new PushlogClient(),
-    repositories: await Repos.create(db)
+    pushlog: new PushlogBackends({
+      githubToken: config.github.token
+    }),
+    repositories: await Repos.create(db),
+    gaps: await Gaps.create(db),
+    leases: await Leases.create(db)
   };
 }
@@ -7,6 +7,9 @@ import Project from 'mozilla-treeherder/project';
 // We use public only operations on the queue here...
 const queue = new taskcluster.Queue();
 
+// Runs of tasks which have not resolved yet.
+const UNRESOLVED_STATES = ['pending', 'running'];
+
 /**
  * Duplicate task-graph nodes (old scheduler), following dependencies in reverse
  * to duplicate all tasks depending on the given node as well.
@@ -146,6 +149,101 @@ export class GroupDuplicator {
     }, []);
   }
 
+  /**
+   * Duplicate the task indicated by taskId along with the minimal chain of
+   * tasks it depends on: the decision task, dependencies which have not
+   * resolved yet and those which completed with artifacts that do not expire
+   * before the deadline of the new task (see `availableUntil`) are kept as
+   * they are, any others are duplicated (recursively) and the new task made
+   * to depend on the duplicate.
+   *
+   * *output* nodes: as for `duplicateGroupNode`.  `available` caches the
+   * result of `availableUntil` for each dependency that was checked.
+   *
+   * returns: values of the nodes parameter, in arbitrary order
+   */
+  async duplicateUpstreamNode(nodes, taskId, now = new Date(), available = {}) {
+    if (nodes[taskId]) return _.values(nodes);
+
+    let newTaskId = slugid.nice();
+    let node = nodes[taskId] = {
+      taskId: newTaskId,
+      requires: []
+    }
+
+    let task = await this.queue.task(taskId);
+    node.task = duplicateTask(task, now);
+
+    // The new task may be pending (or running) until its deadline so the
+    // outputs of a dependency must remain available until then to be reused.
+    // Read through the dependencies sequentially (as above)...
+    let deadline = new Date(node.task.deadline);
+    for (let dependency of task.dependencies || []) {
+      if (!available.hasOwnProperty(dependency)) {
+        available[dependency] = await this.availableUntil(dependency, taskId);
+      }
+      if (available[dependency] && available[dependency] > deadline) continue;
+
+      await this.duplicateUpstreamNode(nodes, dependency, now, available);
+      let newDependency = nodes[dependency].taskId;
+      this.replaceDependency(node.task, dependency, newDependency);
+      node.requires.push(newDependency);
+    }
+
+    return _.values(nodes);
+  }
+
+  /**
+   * Time until which the outputs of the (existing) task indicated by taskId
+   * can be used by a new task: the earliest of the expiry of the task and the
+   * artifacts of its last run.  Null when that run did not complete.
+   *
+   * Tasks which have not resolved yet (the new task waits for them) and the
+   * decision task (duplicating it would create the graph again) can always be
+   * used.  The decision task is the task the task group is named after or
+   * (as for graphs created by us) the one without dependencies.
+   *
+   * Tasks the queue has expired entirely can neither be reused nor duplicated
+   * which is an error.
+   */
+  async availableUntil(taskId, dependentTaskId) {
+    let res;
+    try {
+      res = await this.queue.status(taskId);
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+      throw new Error(
+        `Task ${dependentTaskId} depends on task ${taskId} which no longer ` +
+        `exists (it has expired) so it can neither be reused nor duplicated`
+      );
+    }
+
+    let { status } = res;
+    let task = await this.queue.task(taskId);
+    if (taskId === task.taskGroupId || !(task.dependencies || []).length) {
+      return Infinity;
+    }
+
+    let run = _.last(status.runs);
+    if (!run || UNRESOLVED_STATES.indexOf(run.state) !== -1) return Infinity;
+    if (run.state !== 'completed') return null;
+
+    let until = new Date(status.expires);
+    let continuationToken;
+    do {
+      let artifacts = await this.queue.listArtifacts(
+        taskId, run.runId, continuationToken ? {continuationToken} : {}
+      );
+      continuationToken = artifacts.continuationToken;
+      for (let artifact of artifacts.artifacts) {
+        let expires = new Date(artifact.expires);
+        if (expires < until) until = expires;
+      }
+    } while (continuationToken);
+
+    return until;
+  }
+
   replaceDependency(task, oldTaskId, newTaskId) {
     _.remove(task.dependencies, tid => tid === oldTaskId);
     task.dependencies.push(newTaskId);
@@ -0,0 +1,37 @@
+/**
+Treeherder jobs standing in for the decision task of pushes which were
+coalesced into a newer push (see src/jobs/coalesce.js) so it is clear why
+they have no other jobs.
+*/
+
+import slugid from 'slugid';
+import { jobFromTask } from './job_handler';
+
+// Treeherder result for jobs which were not run because a newer push covers
+// them.
+export const COALESCED_RESULT = 'coalesced';
+
+/**
+Build a coalesced job from a (possibly partial) task definition.
+
+@param {Object} task used to populate the job (see `jobFromTask`).
+@param {Object} link { url, value, title } to the push it was coalesced into.
+@return {Object} treeherder job.
+*/
+export function coalescedJob(task, link) {
+  let job = jobFromTask(slugid.nice(), task, {runId: 0, workerId: 'unknown'});
+  job.submit_timestamp = Math.floor(new Date().getTime() / 1000);
+  job.result = COALESCED_RESULT;
+  job.state = 'completed';
+
+  job.artifacts = [{
+    type: 'json',
+    name: 'Job Info',
+    job_guid: job.job_guid,
+    blob: {
+      job_details: [Object.assign({ content_type: 'link' }, link)]
+    }
+  }];
+
+  return job;
+}
@@ -0,0 +1,69 @@
+/**
+Helpers for reporting errors which happened outside of any task (failed
+retriggers, broken task graph templates, etc...) to treeherder as jobs with
+an exception result (post them with ./post_job.js).
+*/
+
+import slugid from 'slugid';
+import { jobFromTask } from './job_handler';
+
+/**
+Build an exception job from a (possibly partial) task definition.
+
+@param {Object} task used to populate the job (see `jobFromTask`).
+@param {Array} errors messages shown in the job's error summary.
+@param {Array} links [{ url, value, title }] shown in the job details.
+@return {Object} treeherder job.
+*/
+export function errorJob(task, errors, links = []) {
+  let job = jobFromTask(slugid.nice(), task, {runId: 0, workerId: 'unknown'});
+  job.submit_timestamp = Math.floor(new Date().getTime() / 1000);
+  job.result = 'exception';
+  job.state = 'completed';
+
+  job.artifacts = [
+    {
+      "type": "json",
+      "name": "text_log_summary",
+      "job_guid": job.job_guid,
+      "blob": {
+        "step_data": {
+          "all_errors": errors,
+          "steps": []
+        },
+        "logname":"error_log",
+        "parse_status": "parsed"
+      }
+    },
+    {
+      "type": "json",
+      "name": "Bug suggestions",
+      "job_guid": job.job_guid,
+      "blob": errors.map((error) => {
+        return {
+          "search": error,
+          "search_terms": [],
+          "bugs": {
+            "open_recent": [],
+            "all_others": []
+          }
+        };
+      })
+    }
+  ];
+
+  if (links.length) {
+    job.artifacts.push({
+      type: 'json',
+      name: 'Job Info',
+      job_guid: job.job_guid,
+      blob: {
+        job_details: links.map((link) => {
+          return Object.assign({ content_type: 'link' }, link);
+        })
+      }
+    });
+  }
+
+  return job;
+}
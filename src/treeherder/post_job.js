@@ -0,0 +1,26 @@
+/**
+Post jobs which do not come from a task (see ./error_job.js and
+./coalesced_job.js) to treeherder.
+*/
+
+import Project from 'mozilla-treeherder/project';
+
+/**
+Post a job to treeherder for the given revision of a project.
+*/
+export async function postJob(config, projectName, revision, revisionHash, job) {
+  let project = new Project(projectName, {
+    clientId: config.treeherder.credentials.clientId,
+    secret: config.treeherder.credentials.secret,
+    baseUrl: config.treeherder.apiUrl,
+    // Issue up to 2 retries for 429 throttle issues.
+    throttleRetries: 2
+  });
+
+  await project.postJobs([{
+    project: projectName,
+    revision_hash: revisionHash,
+    revision: revision,
+    job: job
+  }]);
+}
@@ -0,0 +1,59 @@
+/**
+Helpers for describing why a task graph template could not be rendered in a
+way which is useful to the person who wrote it.
+*/
+
+// Mustache reports the position of errors as a character offset.
+const MUSTACHE_POSITION = /^(.*) at (\d+)$/;
+
+function lineAndColumn(text, position) {
+  let before = text.slice(0, position).split('\n');
+  return {
+    line: before.length,
+    column: before[before.length - 1].length + 1
+  };
+}
+
+/**
+Describe an error thrown by `instantiate`.
+
+  describeTemplateError(err, templateText);
+  // => { message: 'bad indentation...', line: 2, column: 4 }
+
+Line and column (both 1 based) are only present when the error includes a
+position. Errors from JSON-e templates include their location within the
+template in the message instead.
+*/
+export function describeTemplateError(err, template = '') {
+  if (err.name === 'YAMLException' && err.mark) {
+    return {
+      message: err.reason || err.message,
+      line: err.mark.line + 1,
+      column: err.mark.column + 1
+    };
+  }
+
+  let match = MUSTACHE_POSITION.exec(err.message);
+  if (match) {
+    return Object.assign(
+      { message: match[1] },
+      lineAndColumn(template, parseInt(match[2], 10))
+    );
+  }
+
+  return { message: err.message };
+}
+
+/**
+Format a described error as a single line prefixed by the template url (and
+position if known).
+
+  formatTemplateError('https://.../.taskcluster.yml', description);
+  // => 'https://.../.taskcluster.yml:2:4: bad indentation...'
+
+*/
+export function formatTemplateError(url, description) {
+  let { message, line, column } = description;
+  let position = line ? `:${line}:${column}` : '';
+  return `${url}${position}: ${message}`;
+}
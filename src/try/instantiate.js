@@ -1,36 +1,103 @@
 import slugid from 'slugid';
 import yaml from 'js-yaml';
 import mustache from 'mustache';
+import { parseTime, relativeTime } from './time';
+import renderJsone from './jsone';
 
-// Regular expression matching: X days Y hours Z minutes
-let timeExp = /^(\s*(\d+)\s*d(ays?)?)?(\s*(\d+)\s*h(ours?)?)?(\s*(\d+)\s*m(in(utes?)?)?)?\s*$/;
+export { parseTime, relativeTime };
 
 let Joi = require('joi');
 
-/** Parse time string */
-export function parseTime(str) {
-  // Parse the string
-  let match = timeExp.exec(str);
-  if (!match) {
-    throw new Error("String: '" + str + "' isn't a time expression");
+const CHANGESET_SCHEMA = Joi.object().keys({
+  node: Joi.string().required(),
+  author: Joi.string().allow(''),
+  desc: Joi.string().allow(''),
+  files: Joi.array().includes(Joi.string()),
+  branch: Joi.string().allow(null)
+});
+
+/**
+Parse the template as YAML and return it if it is a versioned (JSON-e)
+template. Legacy mustache templates may not even be valid YAML prior to
+rendering (and may include a `version: 0` field) so null is returned for
+those.
+*/
+function versionedTemplate(template) {
+  let parsed;
+  try {
+    parsed = yaml.safeLoad(template);
+  } catch (e) {
+    return null;
   }
-  // Return parsed values
+
+  if (!parsed || typeof parsed !== 'object') return null;
+  if (typeof parsed.version !== 'number' || parsed.version < 1) return null;
+  return parsed;
+}
+
+function jsoneContext(options, now, labelToSlugid) {
   return {
-    days:     parseInt(match[2] || 0),
-    hours:    parseInt(match[5] || 0),
-    minutes:  parseInt(match[8] || 0)
+    tasks_for: 'hg-push',
+    now,
+    source: options.source,
+    try: options.try || null,
+    push: {
+      owner: options.owner,
+      revision: options.revision,
+      revision_hash: options.revision_hash,
+      comment: options.comment,
+      pushlog_id: options.pushlog_id,
+      pushdate: options.pushdate,
+      base_revision: options.base_revision || null,
+      changesets: options.changesets || [],
+      files: options.files || []
+    },
+    repository: {
+      url: options.url,
+      project: options.project,
+      level: options.level
+    },
+    as_slugid: labelToSlugid
   };
-};
+}
 
-/** Convert time object to relative Date object*/
-export function relativeTime(time, to = new Date()) {
-  return new Date(
-    to.getTime()
-    + time.days * 24 * 60 * 60 * 1000
-    + time.hours     * 60 * 60 * 1000
-    + time.minutes        * 60 * 1000
-  );
-};
+function renderMustache(template, options, now, labelToSlugid) {
+  function fromNow() {
+    return function(text, render) {
+      return render(relativeTime(parseTime(text), new Date(now)).toJSON());
+    }
+  }
+
+  function asSlugId() {
+    return function(label, render) {
+      return render(labelToSlugid(label));
+    }
+  }
+
+  // Parameterize template
+  template = mustache.render(template, {
+    now,
+    owner: options.owner,
+    source: options.source,
+    revision: options.revision,
+    comment: options.comment,
+    level: options.level,
+    project: options.project,
+    revision_hash: options.revision_hash,
+    pushlog_id: options.pushlog_id,
+    pushdate: options.pushdate,
+    base_revision: options.base_revision,
+    changesets: options.changesets || [],
+    url: options.url,
+    try: options.try,
+    files: options.files || [],
+    from_now: fromNow,
+    as_slugid: asSlugId
+  });
+
+  // Parse template
+  return yaml.safeLoad(template);
+}
 
 /**
  * Instantiate a task-graph template from YAML string
@@ -48,14 +115,43 @@ export function relativeTime(time, to = new Date()) {
  *   url:           '...',               // Repository url
  *   importScopes:  true,                // When true scopes from tasks will be
  *                                       // imported to the graph level.
+ *   try:           { builds, ... },     // Parsed try syntax (see ./syntax.js)
+ *                                       // or null.
+ *   files:         ['...'],             // Files changed by all changesets in
+ *                                       // the push (may be empty).
+ *   changesets:    [{ node, author,     // Every changeset in the push (oldest
+ *                     desc, files,      // first).
+ *                     branch }],
+ *   pushdate:      1234,                // Time of the push (seconds since epoch)
+ *   base_revision: '...',               // Revision the push was made on top
+ *                                       // of (or null).
+ *   now:           '...',               // Date-time string used as `now`
+ *                                       // (defaults to the current time).
+ *   slugids:       { label: slugid },   // Slugids to use for labels, labels
+ *                                       // not yet in it are added (so a
+ *                                       // graph can be rendered again with
+ *                                       // the same task ids).
  * }
  *
  * In in addition to options provided above the following paramters is available
  * to templates:
  *  - `now` date-time string for now,
  *  - `from-now` modifier taking a relative date as 'X days Y hours Z minutes'
+ *    (see ./time.js for all supported units and negative offsets)
  *  - `as-slugid` modifier converting a label to a slugid
  *
+ * Templates with a `version` of 1 or greater are rendered as JSON-e (see
+ * ./jsone.js) rather then with mustache. The context available to them is:
+ *
+ *  - `tasks_for`  'hg-push'
+ *  - `now`        date-time string for now
+ *  - `push`       { owner, revision, revision_hash, comment, pushlog_id,
+ *                   pushdate, base_revision, changesets, files }
+ *  - `repository` { url, project, level }
+ *  - `source`     source file this was instantiated from
+ *  - `try`        parsed try syntax (or null)
+ *  - `as_slugid`  function converting a label to a slugid
+ *
  */
 export default function instantiate(template, options) {
   // Validate options
@@ -70,47 +166,35 @@ export default function instantiate(template, options) {
     pushlog_id: Joi.string().required(),
     url: Joi.string().required(),
     importScopes: Joi.boolean().required(),
-    error: Joi.string()
+    error: Joi.string(),
+    try: Joi.object().allow(null),
+    files: Joi.array().includes(Joi.string()),
+    changesets: Joi.array().includes(CHANGESET_SCHEMA),
+    pushdate: Joi.number(),
+    base_revision: Joi.string().allow(null),
+    now: Joi.string(),
+    slugids: Joi.object()
   }));
 
-  // Create label cache, so we provide the same slugids for the same label
-  let labelsToSlugids = {};
+  let now = options.now || new Date().toJSON();
 
-  function fromNow() {
-    return function(text, render) {
-      return render(relativeTime(parseTime(text)).toJSON());
+  // Create label cache, so we provide the same slugids for the same label
+  let labelsToSlugids = options.slugids || {};
+  function labelToSlugid(label) {
+    let result = labelsToSlugids[label];
+    if (result === undefined) {
+      result = labelsToSlugids[label] = slugid.nice();
     }
+    return result;
   }
 
-  function asSlugId() {
-    return function(label, render) {
-      let result = labelsToSlugids[label];
-      if (result === undefined) {
-        result = labelsToSlugids[label] = slugid.nice();
-      }
-      return render(result);
-    }
+  let graph = versionedTemplate(template);
+  if (graph) {
+    graph = renderJsone(graph, jsoneContext(options, now, labelToSlugid));
+  } else {
+    graph = renderMustache(template, options, now, labelToSlugid);
   }
 
-  // Parameterize template
-  template = mustache.render(template, {
-    now: new Date().toJSON(),
-    owner: options.owner,
-    source: options.source,
-    revision: options.revision,
-    comment: options.comment,
-    level: options.level,
-    project: options.project,
-    revision_hash: options.revision_hash,
-    pushlog_id: options.pushlog_id,
-    url: options.url,
-    from_now: fromNow,
-    as_slugid: asSlugId
-  });
-
-  // Parse template
-  let graph = yaml.safeLoad(template);
-
   // If we are not importing scopes just return the graph...
   if (!options.importScopes || !graph.tasks) {
     return graph;
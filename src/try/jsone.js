@@ -0,0 +1,780 @@
+/**
+Renderer for JSON-e style templates. Templates are plain (already parsed)
+JSON/YAML structures which are evaluated against a context object:
+
+  render({ owner: '${push.owner}', $if: 'push.level > 1' ... }, context);
+
+Strings are interpolated (`${expr}`, use `$${` for a literal `${`) and
+objects containing one of the following operators are replaced by their
+result:
+
+  - $eval: 'expr' result of an expression.
+  - $json: value rendered as a JSON string.
+  - $if: 'expr', then: value, else: value (the containing array item or
+    object property is removed when the chosen branch is missing).
+  - $switch: { 'expr': value, $default: value } first matching case.
+  - $let: { name: value }, in: value (values are added to the context).
+  - $map: array or object, each(x[,i]): value
+  - $flatten / $flattenDeep: array of arrays.
+  - $merge / $mergeDeep: array of objects.
+  - $reverse: array.
+  - $fromNow: '1 day 2 hours', from: date (optional).
+
+Expressions support literals (numbers, strings, true, false, null, arrays
+and objects), context lookups, property access (`a.b`, `a['b']`), indexing
+and slicing (`a[0]`, `a[-1]`, `a[1:3]`), function calls, arithmetic
+(`+ - * / **`), comparisons (`== != < > <= >=`), `in` and boolean logic
+(`&& || !`). Built in functions: min, max, sqrt, ceil, floor, abs,
+lowercase, uppercase, strip, len, str, number, join, split, typeof,
+defined and fromNow.
+
+Rendering errors are thrown as `TemplateError` and include the location in
+the template where they occurred.
+
+This is a subset of JSON-e rather then the json-e package as that requires
+node 6.4 or newer and we still run on node 0.10 (see the Dockerfile).
+*/
+
+import _ from 'lodash';
+import { parseTime, relativeTime } from './time';
+
+export class TemplateError extends Error {
+  constructor(message, location = '') {
+    let full = location ? `${message} (at template${location})` : message;
+    super(full);
+    this.message = full;
+    this.name = 'TemplateError';
+    this.location = location;
+  }
+}
+
+const OPERATORS = [
+  '**', '==', '!=', '<=', '>=', '&&', '||',
+  '+', '-', '*', '/', '<', '>', '!', '.', ',', ':',
+  '(', ')', '[', ']', '{', '}'
+];
+
+// Binary operators and their binding power (higher binds tighter).
+const BINARY = {
+  '||': 1,
+  '&&': 2,
+  'in': 3,
+  '==': 4, '!=': 4,
+  '<': 5, '>': 5, '<=': 5, '>=': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7,
+  '**': 8
+};
+const UNARY_POWER = 9;
+
+const IDENTIFIER = /^[a-zA-Z_][a-zA-Z0-9_]*/;
+const NUMBER = /^[0-9]+(\.[0-9]+)?/;
+const OPERATOR_KEY = /^\$[a-zA-Z]/;
+const EACH = /^each\(\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*(,\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*)?\)$/;
+
+/**
+Lazy tokenizer so expressions embedded in strings (`${...}`) can be parsed
+without knowing where they end up front.
+*/
+class Tokenizer {
+  constructor(source, offset = 0) {
+    this.source = source;
+    this.offset = offset;
+    this.current = null;
+  }
+
+  peek() {
+    if (!this.current) this.current = this.read();
+    return this.current;
+  }
+
+  next() {
+    let token = this.peek();
+    this.current = null;
+    return token;
+  }
+
+  read() {
+    let source = this.source;
+    while (this.offset < source.length && /\s/.test(source[this.offset])) {
+      this.offset++;
+    }
+
+    let start = this.offset;
+    if (start >= source.length) return { type: 'end', start };
+
+    let rest = source.slice(start);
+    let char = rest[0];
+
+    if (char === '"' || char === "'") {
+      let end = rest.indexOf(char, 1);
+      if (end === -1) {
+        throw new TemplateError(`Unterminated string in "${source}"`);
+      }
+      this.offset += end + 1;
+      return { type: 'string', value: rest.slice(1, end), start };
+    }
+
+    let match = NUMBER.exec(rest);
+    if (match) {
+      this.offset += match[0].length;
+      return { type: 'number', value: Number(match[0]), start };
+    }
+
+    match = IDENTIFIER.exec(rest);
+    if (match) {
+      this.offset += match[0].length;
+      let word = match[0];
+      switch (word) {
+        case 'true': return { type: 'literal', value: true, start };
+        case 'false': return { type: 'literal', value: false, start };
+        case 'null': return { type: 'literal', value: null, start };
+        case 'in': return { type: 'operator', value: 'in', start };
+        default: return { type: 'identifier', value: word, start };
+      }
+    }
+
+    for (let op of OPERATORS) {
+      if (rest.slice(0, op.length) === op) {
+        this.offset += op.length;
+        return { type: 'operator', value: op, start };
+      }
+    }
+
+    throw new TemplateError(`Unexpected "${char}" in "${source}"`);
+  }
+}
+
+/**
+Pratt parser producing a small AST which is evaluated separately.
+*/
+class Parser {
+  constructor(tokenizer) {
+    this.tokens = tokenizer;
+  }
+
+  fail(token, expected) {
+    let found = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+    throw new TemplateError(
+      `Expected ${expected} but found ${found} in "${this.tokens.source}"`
+    );
+  }
+
+  isOperator(value) {
+    let token = this.tokens.peek();
+    return token.type === 'operator' && token.value === value;
+  }
+
+  expect(value) {
+    let token = this.tokens.next();
+    if (token.type !== 'operator' || token.value !== value) {
+      this.fail(token, `"${value}"`);
+    }
+    return token;
+  }
+
+  // Comma separated list of expressions up to (and including) `close`.
+  list(close, item = () => this.expression()) {
+    let items = [];
+    if (this.isOperator(close)) {
+      this.tokens.next();
+      return items;
+    }
+
+    while (true) {
+      items.push(item());
+      if (this.isOperator(',')) {
+        this.tokens.next();
+        continue;
+      }
+      this.expect(close);
+      return items;
+    }
+  }
+
+  expression(power = 0) {
+    let left = this.prefix();
+    while (true) {
+      let token = this.tokens.peek();
+      if (token.type !== 'operator') break;
+
+      let op = token.value;
+      if (op === '.' || op === '[' || op === '(') {
+        left = this.postfix(left);
+        continue;
+      }
+
+      let opPower = BINARY[op];
+      if (!opPower || opPower <= power) break;
+      this.tokens.next();
+
+      // `**` is right associative.
+      let right = this.expression(op === '**' ? opPower - 1 : opPower);
+      left = { type: 'binary', op, left, right };
+    }
+    return left;
+  }
+
+  prefix() {
+    let token = this.tokens.next();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'value', value: token.value };
+      case 'identifier':
+        return { type: 'identifier', name: token.value };
+      case 'operator':
+        switch (token.value) {
+          case '!':
+          case '-':
+          case '+':
+            return {
+              type: 'unary',
+              op: token.value,
+              operand: this.expression(UNARY_POWER)
+            };
+          case '(':
+            let inner = this.expression();
+            this.expect(')');
+            return inner;
+          case '[':
+            return { type: 'array', items: this.list(']') };
+          case '{':
+            return { type: 'object', entries: this.list('}', () => {
+              let key = this.tokens.next();
+              if (key.type !== 'identifier' && key.type !== 'string') {
+                this.fail(key, 'object key');
+              }
+              this.expect(':');
+              return [key.value, this.expression()];
+            })};
+        }
+    }
+    this.fail(token, 'a value');
+  }
+
+  postfix(left) {
+    let op = this.tokens.next().value;
+    if (op === '.') {
+      let name = this.tokens.next();
+      if (name.type !== 'identifier') this.fail(name, 'property name');
+      return { type: 'property', target: left, key: { type: 'value', value: name.value } };
+    }
+
+    if (op === '(') {
+      return { type: 'call', target: left, args: this.list(')') };
+    }
+
+    // Index or slice...
+    let start = null, end = null;
+    if (!this.isOperator(':')) start = this.expression();
+    if (this.isOperator(':')) {
+      this.tokens.next();
+      if (!this.isOperator(']')) end = this.expression();
+      this.expect(']');
+      return { type: 'slice', target: left, start, end };
+    }
+    this.expect(']');
+    return { type: 'property', target: left, key: start };
+  }
+}
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object') return Object.keys(value).length > 0;
+  return !!value;
+}
+
+function fromNow(offset, reference) {
+  if (typeof offset !== 'string') {
+    throw new TemplateError('fromNow expects a time expression string');
+  }
+  let to = reference ? new Date(reference) : new Date();
+  try {
+    return relativeTime(parseTime(offset), to).toJSON();
+  } catch (e) {
+    throw new TemplateError(e.message);
+  }
+}
+
+function numbers(name, fn) {
+  return function(...args) {
+    for (let arg of args) {
+      if (typeof arg !== 'number') {
+        throw new TemplateError(`${name} expects numbers`);
+      }
+    }
+    return fn(...args);
+  };
+}
+
+function strings(name, fn) {
+  return function(...args) {
+    if (typeof args[0] !== 'string') {
+      throw new TemplateError(`${name} expects a string`);
+    }
+    return fn(...args);
+  };
+}
+
+const BUILTINS = {
+  min: numbers('min', Math.min),
+  max: numbers('max', Math.max),
+  sqrt: numbers('sqrt', Math.sqrt),
+  ceil: numbers('ceil', Math.ceil),
+  floor: numbers('floor', Math.floor),
+  abs: numbers('abs', Math.abs),
+  lowercase: strings('lowercase', str => str.toLowerCase()),
+  uppercase: strings('uppercase', str => str.toUpperCase()),
+  strip: strings('strip', str => str.trim()),
+  split: strings('split', (str, sep) => str.split(sep)),
+  join(list, sep = '') {
+    if (!Array.isArray(list)) throw new TemplateError('join expects an array');
+    return list.join(sep);
+  },
+  len(value) {
+    if (typeof value !== 'string' && !Array.isArray(value)) {
+      throw new TemplateError('len expects a string or array');
+    }
+    return value.length;
+  },
+  str(value) {
+    if (value !== null && typeof value === 'object') {
+      throw new TemplateError('str expects a string, number, boolean or null');
+    }
+    return String(value);
+  },
+  number(value) {
+    let result = Number(value);
+    if (typeof value !== 'string' || isNaN(result)) {
+      throw new TemplateError(`Cannot convert ${JSON.stringify(value)} to a number`);
+    }
+    return result;
+  },
+  typeof: typeOf,
+  fromNow
+};
+
+function checkTypes(op, left, right, types) {
+  let type = typeOf(left);
+  if (type !== typeOf(right) || types.indexOf(type) === -1) {
+    throw new TemplateError(
+      `Operator ${op} cannot be used with ${typeOf(left)} and ${typeOf(right)}`
+    );
+  }
+}
+
+function index(target, key) {
+  if (Array.isArray(target) || typeof target === 'string') {
+    if (typeof key !== 'number' || key % 1 !== 0) {
+      throw new TemplateError(`Index must be an integer not ${JSON.stringify(key)}`);
+    }
+    let idx = key < 0 ? target.length + key : key;
+    if (idx < 0 || idx >= target.length) {
+      throw new TemplateError(`Index ${key} out of bounds`);
+    }
+    return target[idx];
+  }
+
+  if (target && typeof target === 'object') {
+    if (typeof key !== 'string') {
+      throw new TemplateError('Object property names must be strings');
+    }
+    return has(target, key) ? target[key] : null;
+  }
+
+  throw new TemplateError(`Cannot access property ${key} of ${typeOf(target)}`);
+}
+
+function evaluate(node, context) {
+  switch (node.type) {
+    case 'value':
+      return node.value;
+
+    case 'identifier':
+      if (has(context, node.name)) return context[node.name];
+      // Like $fromNow the fromNow function is relative to the context's `now`
+      // so rendering the same context twice gives the same result.
+      if (node.name === 'fromNow') {
+        return (offset, reference = context.now) => fromNow(offset, reference);
+      }
+      if (has(BUILTINS, node.name)) return BUILTINS[node.name];
+      throw new TemplateError(`Unknown context value ${node.name}`);
+
+    case 'array':
+      return node.items.map(item => evaluate(item, context));
+
+    case 'object':
+      let result = {};
+      for (let [key, value] of node.entries) {
+        result[key] = evaluate(value, context);
+      }
+      return result;
+
+    case 'property':
+      return index(evaluate(node.target, context), evaluate(node.key, context));
+
+    case 'slice':
+      let target = evaluate(node.target, context);
+      if (typeof target !== 'string' && !Array.isArray(target)) {
+        throw new TemplateError(`Cannot slice ${typeOf(target)}`);
+      }
+      let start = node.start ? evaluate(node.start, context) : undefined;
+      let end = node.end ? evaluate(node.end, context) : undefined;
+      return target.slice(start, end);
+
+    case 'call':
+      // defined('name') checks the context rather then a value...
+      if (node.target.type === 'identifier' && node.target.name === 'defined' &&
+          !has(context, 'defined')) {
+        let [name] = node.args.map(arg => evaluate(arg, context));
+        return has(context, name);
+      }
+
+      let fn = evaluate(node.target, context);
+      if (typeof fn !== 'function') {
+        throw new TemplateError(`${typeOf(fn)} is not a function`);
+      }
+      return fn(...node.args.map(arg => evaluate(arg, context)));
+
+    case 'unary':
+      let operand = evaluate(node.operand, context);
+      if (node.op === '!') return !isTruthy(operand);
+      if (typeof operand !== 'number') {
+        throw new TemplateError(`Operator ${node.op} expects a number`);
+      }
+      return node.op === '-' ? -operand : operand;
+
+    case 'binary':
+      return binary(node, context);
+  }
+}
+
+function binary(node, context) {
+  let { op } = node;
+  let left = evaluate(node.left, context);
+
+  // Short circuit...
+  if (op === '&&') return isTruthy(left) && isTruthy(evaluate(node.right, context));
+  if (op === '||') return isTruthy(left) || isTruthy(evaluate(node.right, context));
+
+  let right = evaluate(node.right, context);
+  switch (op) {
+    case '==': return _.isEqual(left, right);
+    case '!=': return !_.isEqual(left, right);
+    case '+':
+      checkTypes(op, left, right, ['number', 'string']);
+      return left + right;
+    case '-':
+    case '*':
+    case '/':
+    case '**':
+      checkTypes(op, left, right, ['number']);
+      if (op === '-') return left - right;
+      if (op === '*') return left * right;
+      if (op === '/') {
+        if (right === 0) throw new TemplateError('Division by zero');
+        return left / right;
+      }
+      return Math.pow(left, right);
+    case '<':
+    case '>':
+    case '<=':
+    case '>=':
+      checkTypes(op, left, right, ['number', 'string']);
+      if (op === '<') return left < right;
+      if (op === '>') return left > right;
+      if (op === '<=') return left <= right;
+      return left >= right;
+    case 'in':
+      if (typeof right === 'string') {
+        if (typeof left !== 'string') {
+          throw new TemplateError('Only strings can be searched for in strings');
+        }
+        return right.indexOf(left) !== -1;
+      }
+      if (Array.isArray(right)) return right.some(item => _.isEqual(item, left));
+      if (right && typeof right === 'object') {
+        return typeof left === 'string' && has(right, left);
+      }
+      throw new TemplateError(`Cannot use "in" with ${typeOf(right)}`);
+  }
+}
+
+/**
+Parse and evaluate a single expression.
+
+  evaluateExpression('push.revision[:12]', context);
+
+*/
+export function evaluateExpression(expression, context) {
+  let parser = new Parser(new Tokenizer(expression));
+  let ast = parser.expression();
+  let rest = parser.tokens.peek();
+  if (rest.type !== 'end') parser.fail(rest, 'end of expression');
+  return evaluate(ast, context);
+}
+
+function interpolate(str, context) {
+  let result = '';
+  let offset = 0;
+  while (offset < str.length) {
+    let idx = str.indexOf('${', offset);
+    if (idx === -1) break;
+
+    // `$${` is an escaped (literal) `${`
+    if (idx > 0 && str[idx - 1] === '$') {
+      result += str.slice(offset, idx - 1) + '${';
+      offset = idx + 2;
+      continue;
+    }
+
+    result += str.slice(offset, idx);
+    let parser = new Parser(new Tokenizer(str, idx + 2));
+    let value = evaluate(parser.expression(), context);
+    let close = parser.tokens.next();
+    if (close.type !== 'operator' || close.value !== '}') {
+      parser.fail(close, '"}"');
+    }
+
+    if (value !== null && typeof value === 'object') {
+      throw new TemplateError(
+        `Cannot interpolate ${typeOf(value)} into "${str}" (use $json)`
+      );
+    }
+    result += String(value);
+    offset = close.start + 1;
+  }
+  return result + str.slice(offset);
+}
+
+function checkKeys(template, allowed, op) {
+  for (let key of Object.keys(template)) {
+    if (allowed.indexOf(key) === -1) {
+      throw new TemplateError(`${op} has undefined properties: ${key}`);
+    }
+  }
+}
+
+function merge(op, values, deep) {
+  if (!Array.isArray(values) || !values.every(value => typeOf(value) === 'object')) {
+    throw new TemplateError(`${op} expects an array of objects`);
+  }
+
+  if (!deep) return Object.assign({}, ...values);
+  return _.mergeWith({}, ...values, (dest, src) => {
+    // Arrays are concatenated rather then merged by index.
+    if (Array.isArray(dest) && Array.isArray(src)) return dest.concat(src);
+  });
+}
+
+function flattenDeep(value) {
+  if (!Array.isArray(value)) return [value];
+  return value.reduce((all, item) => all.concat(flattenDeep(item)), []);
+}
+
+const RENDER_OPERATORS = {
+  $eval(template, context, location) {
+    checkKeys(template, ['$eval'], '$eval');
+    if (typeof template.$eval !== 'string') {
+      throw new TemplateError('$eval must be given a string expression');
+    }
+    return evaluateExpression(template.$eval, context);
+  },
+
+  $json(template, context, location) {
+    checkKeys(template, ['$json'], '$json');
+    return JSON.stringify(render(template.$json, context, location));
+  },
+
+  $if(template, context, location) {
+    checkKeys(template, ['$if', 'then', 'else'], '$if');
+    if (typeof template.$if !== 'string') {
+      throw new TemplateError('$if must be given a string expression');
+    }
+
+    let branch = isTruthy(evaluateExpression(template.$if, context)) ?
+      'then' : 'else';
+    if (!has(template, branch)) return undefined;
+    return render(template[branch], context, `${location}.${branch}`);
+  },
+
+  $switch(template, context, location) {
+    checkKeys(template, ['$switch'], '$switch');
+    let cases = template.$switch;
+    if (typeOf(cases) !== 'object') {
+      throw new TemplateError('$switch must be given an object');
+    }
+
+    for (let condition of Object.keys(cases)) {
+      if (condition === '$default') continue;
+      if (isTruthy(evaluateExpression(condition, context))) {
+        return render(cases[condition], context, `${location}.$switch`);
+      }
+    }
+
+    if (!has(cases, '$default')) return undefined;
+    return render(cases.$default, context, `${location}.$switch`);
+  },
+
+  $let(template, context, location) {
+    checkKeys(template, ['$let', 'in'], '$let');
+    let bindings = render(template.$let, context, `${location}.$let`);
+    if (typeOf(bindings) !== 'object') {
+      throw new TemplateError('$let must be given an object');
+    }
+    if (!has(template, 'in')) {
+      throw new TemplateError('$let requires an "in" property');
+    }
+
+    let inner = Object.assign({}, context, bindings);
+    return render(template.in, inner, `${location}.in`);
+  },
+
+  $map(template, context, location) {
+    let keys = Object.keys(template).filter(key => key !== '$map');
+    let match = keys.length === 1 && EACH.exec(keys[0]);
+    if (!match) {
+      throw new TemplateError('$map requires a single each(x) property');
+    }
+
+    let [, name, , indexName] = match;
+    let each = template[keys[0]];
+    let value = render(template.$map, context, `${location}.$map`);
+    let inner = (item, idx) => {
+      let bindings = { [name]: item };
+      if (indexName) bindings[indexName] = idx;
+      return render(
+        each, Object.assign({}, context, bindings), `${location}.${keys[0]}`
+      );
+    };
+
+    if (Array.isArray(value)) {
+      return value.map(inner).filter(item => item !== undefined);
+    }
+
+    if (typeOf(value) === 'object') {
+      // Objects are mapped over { key, val } pairs and merged back together.
+      return Object.keys(value).reduce((result, key) => {
+        let item = indexName ?
+          inner(value[key], key) :
+          inner({ key, val: value[key] });
+        if (item === undefined) return result;
+        if (typeOf(item) !== 'object') {
+          throw new TemplateError('$map over an object must produce objects');
+        }
+        return Object.assign(result, item);
+      }, {});
+    }
+
+    throw new TemplateError(`$map cannot be used with ${typeOf(value)}`);
+  },
+
+  $flatten(template, context, location) {
+    checkKeys(template, ['$flatten'], '$flatten');
+    let value = render(template.$flatten, context, `${location}.$flatten`);
+    if (!Array.isArray(value)) throw new TemplateError('$flatten expects an array');
+    return value.reduce((all, item) => all.concat(item), []);
+  },
+
+  $flattenDeep(template, context, location) {
+    checkKeys(template, ['$flattenDeep'], '$flattenDeep');
+    let value = render(template.$flattenDeep, context, `${location}.$flattenDeep`);
+    if (!Array.isArray(value)) throw new TemplateError('$flattenDeep expects an array');
+    return flattenDeep(value);
+  },
+
+  $merge(template, context, location) {
+    checkKeys(template, ['$merge'], '$merge');
+    return merge('$merge', render(template.$merge, context, `${location}.$merge`));
+  },
+
+  $mergeDeep(template, context, location) {
+    checkKeys(template, ['$mergeDeep'], '$mergeDeep');
+    return merge(
+      '$mergeDeep',
+      render(template.$mergeDeep, context, `${location}.$mergeDeep`),
+      true
+    );
+  },
+
+  $reverse(template, context, location) {
+    checkKeys(template, ['$reverse'], '$reverse');
+    let value = render(template.$reverse, context, `${location}.$reverse`);
+    if (!Array.isArray(value)) throw new TemplateError('$reverse expects an array');
+    return value.slice().reverse();
+  },
+
+  $fromNow(template, context, location) {
+    checkKeys(template, ['$fromNow', 'from'], '$fromNow');
+    let offset = render(template.$fromNow, context, `${location}.$fromNow`);
+    let from = has(template, 'from') ?
+      render(template.from, context, `${location}.from`) :
+      context.now;
+    return fromNow(offset, from);
+  }
+};
+
+function renderObject(template, context, location) {
+  let operators = Object.keys(template).filter(key => OPERATOR_KEY.test(key));
+
+  if (operators.length) {
+    let op = operators[0];
+    if (operators.length > 1) {
+      throw new TemplateError(`Only one operator allowed per object: ${operators.join(', ')}`);
+    }
+    if (!has(RENDER_OPERATORS, op)) {
+      throw new TemplateError(`Unknown operator ${op}`);
+    }
+    return RENDER_OPERATORS[op](template, context, location);
+  }
+
+  let result = {};
+  for (let key of Object.keys(template)) {
+    let value = render(template[key], context, `${location}.${key}`);
+    if (value === undefined) continue;
+    // `$$op` is an escaped (literal) `$op`...
+    let name = key.slice(0, 2) === '$$' ? key.slice(1) : interpolate(key, context);
+    result[name] = value;
+  }
+  return result;
+}
+
+/**
+Render a template against a context. Returns undefined if the template
+itself was removed (for example a `$if` without a matching branch).
+*/
+export default function render(template, context, location = '') {
+  try {
+    if (typeof template === 'string') return interpolate(template, context);
+
+    if (Array.isArray(template)) {
+      return template.
+        map((item, idx) => render(item, context, `${location}[${idx}]`)).
+        filter(item => item !== undefined);
+    }
+
+    if (template && typeof template === 'object') {
+      return renderObject(template, context, location);
+    }
+
+    return template;
+  } catch (e) {
+    // Only the innermost location is reported...
+    if (e instanceof TemplateError && !e.location && location) {
+      throw new TemplateError(e.message, location);
+    }
+    throw e;
+  }
+}
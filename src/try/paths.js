@@ -0,0 +1,146 @@
+/**
+Path based triggering of task graphs. Projects may list `paths` and
+`ignorePaths` globs in `try.projects`:
+
+  paths: ['browser/**', 'toolkit/**']  # only build if a changed file matches
+  ignorePaths: ['docs/**', 'README']   # files which never trigger a build
+
+Globs are matched against the full path of each changed file: `*` matches
+within a directory, `**` across directories, `?` a single character and
+`{a,b}` either alternative.
+*/
+
+// Characters which need escaping in regular expressions...
+const SPECIAL = /[.+^$()|[\]\\]/;
+
+/**
+Convert a glob into a regular expression matching the full path.
+*/
+export function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+  for (let idx = 0; idx < glob.length; idx++) {
+    let char = glob[idx];
+    switch (char) {
+      case '*':
+        if (glob[idx + 1] === '*') {
+          idx++;
+          // `**/` matches zero or more directories.
+          if (glob[idx + 1] === '/') {
+            idx++;
+            source += '(?:.*/)?';
+          } else {
+            source += '.*';
+          }
+        } else {
+          source += '[^/]*';
+        }
+        break;
+      case '?':
+        source += '[^/]';
+        break;
+      case '{':
+        braces++;
+        source += '(?:';
+        break;
+      case '}':
+        if (!braces) {
+          source += '\\}';
+          break;
+        }
+        braces--;
+        source += ')';
+        break;
+      case ',':
+        source += braces ? '|' : ',';
+        break;
+      default:
+        source += SPECIAL.test(char) ? `\\${char}` : char;
+    }
+  }
+
+  if (braces) throw new Error(`Unbalanced braces in glob "${glob}"`);
+  return new RegExp(`^${source}$`);
+}
+
+/**
+Convert every glob of the config so invalid globs are found when the config
+is loaded rather then when a push is evaluated.
+
+@param {Object} config { paths, ignorePaths } lists of globs.
+@throws {Error} naming the first invalid glob.
+*/
+export function validatePaths(config = {}, location = 'paths') {
+  for (let key of ['paths', 'ignorePaths']) {
+    for (let glob of (config[key] || [])) {
+      try {
+        globToRegExp(glob);
+      } catch (e) {
+        throw new Error(`${location}.${key}: ${e.message}`);
+      }
+    }
+  }
+}
+
+/**
+Aggregate (unique) list of files changed by all changesets in a push.
+*/
+export function changedFiles(changesets) {
+  let seen = new Set();
+  let files = [];
+  for (let changeset of changesets) {
+    for (let file of (changeset.files || [])) {
+      if (seen.has(file)) continue;
+      seen.add(file);
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+/**
+Decide if a push should skip task graph creation based on the files it
+changed. When the files are unknown (empty) the push is always built.
+
+@param {Object} config { paths, ignorePaths } lists of globs.
+@param {Array} files changed in the push.
+@return {Object|null} null if the push should be built otherwise the rule
+                      which caused it to be skipped { rule, pattern, reason }.
+*/
+export function evaluatePaths(config, files) {
+  let { paths, ignorePaths } = config;
+  if (!files.length || (!paths && !ignorePaths)) return null;
+
+  let relevant = files;
+  if (ignorePaths && ignorePaths.length) {
+    let ignored = ignorePaths.map(globToRegExp);
+    relevant = relevant.filter((file) => {
+      return !ignored.some(regexp => regexp.test(file));
+    });
+
+    if (!relevant.length) {
+      return {
+        rule: 'ignorePaths',
+        pattern: ignorePaths.join(', '),
+        reason: 'every changed file is ignored'
+      };
+    }
+  }
+
+  if (paths && paths.length) {
+    let included = paths.map(globToRegExp);
+    let matches = relevant.some((file) => {
+      return included.some(regexp => regexp.test(file));
+    });
+
+    if (!matches) {
+      return {
+        rule: 'paths',
+        pattern: paths.join(', '),
+        reason: 'no changed file matches'
+      };
+    }
+  }
+
+  return null;
+}
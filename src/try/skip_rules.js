@@ -0,0 +1,176 @@
+/**
+Per project rules which decide if a push should skip task graph creation
+(docs only changes, l10n pushes, etc...). Pushes whose last commit message
+contains DONTBUILD are always skipped. Rules are configured in `try.skip`
+(defaults for all projects) and `try.projects.<name>.skip`:
+
+  skip:
+    messages:
+      include: 'try:'        # skip unless the last commit message matches
+      exclude: 'DONTBUILD'   # skip if the last commit message matches
+    files:
+      include: ['^browser/'] # skip unless any changed file matches
+      exclude: ['^docs/']    # skip if every changed file matches
+    authors:
+      allow: ['@mozilla\\.com$'] # skip unless the pusher matches
+      deny: ['^l10n-bot']        # skip if the pusher matches
+
+All patterns are regular expressions (a single string or a list). File
+rules only apply when the changed files of the push are known. Author rules
+match the user who pushed (not the authors of the commits).
+*/
+
+let Joi = require('joi');
+
+const PATTERNS = Joi.alternatives().try(
+  Joi.string(),
+  Joi.array().includes(Joi.string())
+);
+
+export const SKIP_RULES_SCHEMA = Joi.object().keys({
+  messages: Joi.object().keys({
+    include: PATTERNS.description('skip unless the last commit message matches'),
+    exclude: PATTERNS.description('skip if the last commit message matches')
+  }),
+  files: Joi.object().keys({
+    include: PATTERNS.description('skip unless any changed file matches'),
+    exclude: PATTERNS.description('skip if every changed file matches')
+  }),
+  authors: Joi.object().keys({
+    allow: PATTERNS.description('skip unless the pusher matches'),
+    deny: PATTERNS.description('skip if the pusher matches')
+  })
+});
+
+// Common idiom is to include "DONTBUILD" in changes to amend something in a
+// previous commit like code comments or modify something that is not part of
+// CI. This applies regardless of the configured rules.
+const DONTBUILD = /DONTBUILD/;
+
+function compile(rule, patterns) {
+  patterns = Array.isArray(patterns) ? patterns : [patterns];
+  return patterns.map((pattern) => {
+    try {
+      return new RegExp(pattern);
+    } catch (e) {
+      throw new Error(`Invalid pattern for skip rule ${rule} "${pattern}": ${e.message}`);
+    }
+  });
+}
+
+/**
+Compile every pattern of the rules (Joi cannot check them) so invalid
+patterns are found when the config is loaded rather then when a push is
+evaluated.
+
+@throws {Error} naming the first invalid pattern.
+*/
+export function validateSkipRules(rules = {}, location = 'skip') {
+  for (let group of Object.keys(rules)) {
+    for (let key of Object.keys(rules[group] || {})) {
+      try {
+        compile(`${group}.${key}`, rules[group][key]);
+      } catch (e) {
+        throw new Error(`${location}: ${e.message}`);
+      }
+    }
+  }
+}
+
+function matching(regexps, value) {
+  return regexps.find(regexp => regexp.test(value));
+}
+
+/**
+Evaluate skip rules against a (treeherder formatted) resultset.
+
+@return {Object|null} null if the push should be built otherwise the rule
+                      which caused it to be skipped { rule, pattern, reason }.
+*/
+export function evaluateSkipRules(rules, resultset) {
+  let lastRev = resultset.revisions[resultset.revisions.length - 1];
+  let comment = lastRev.comment || '';
+  let author = resultset.author || '';
+  let files = resultset.revisions.reduce((all, revision) => {
+    return all.concat(revision.files || []);
+  }, []);
+
+  if (DONTBUILD.test(comment)) {
+    return {
+      rule: 'DONTBUILD',
+      pattern: DONTBUILD.source,
+      reason: 'commit message matches'
+    };
+  }
+
+  let messages = rules.messages || {};
+  if (messages.exclude) {
+    let match = matching(compile('messages.exclude', messages.exclude), comment);
+    if (match) {
+      return {
+        rule: 'messages.exclude',
+        pattern: match.source,
+        reason: 'commit message matches'
+      };
+    }
+  }
+
+  if (messages.include) {
+    let regexps = compile('messages.include', messages.include);
+    if (!matching(regexps, comment)) {
+      return {
+        rule: 'messages.include',
+        pattern: regexps.map(regexp => regexp.source).join(', '),
+        reason: 'commit message does not match'
+      };
+    }
+  }
+
+  let fileRules = rules.files || {};
+  if (files.length && fileRules.exclude) {
+    let regexps = compile('files.exclude', fileRules.exclude);
+    if (files.every(file => matching(regexps, file))) {
+      return {
+        rule: 'files.exclude',
+        pattern: regexps.map(regexp => regexp.source).join(', '),
+        reason: 'every changed file matches'
+      };
+    }
+  }
+
+  if (files.length && fileRules.include) {
+    let regexps = compile('files.include', fileRules.include);
+    if (!files.some(file => matching(regexps, file))) {
+      return {
+        rule: 'files.include',
+        pattern: regexps.map(regexp => regexp.source).join(', '),
+        reason: 'no changed file matches'
+      };
+    }
+  }
+
+  let authors = rules.authors || {};
+  if (authors.deny) {
+    let match = matching(compile('authors.deny', authors.deny), author);
+    if (match) {
+      return {
+        rule: 'authors.deny',
+        pattern: match.source,
+        reason: `pusher ${author} matches`
+      };
+    }
+  }
+
+  if (authors.allow) {
+    let regexps = compile('authors.allow', authors.allow);
+    if (!matching(regexps, author)) {
+      return {
+        rule: 'authors.allow',
+        pattern: regexps.map(regexp => regexp.source).join(', '),
+        reason: `pusher ${author} does not match`
+      };
+    }
+  }
+
+  return null;
+}
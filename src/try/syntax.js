@@ -0,0 +1,203 @@
+/**
+Parser for try syntax in commit messages:
+
+  parseTrySyntax('Bug 1 - xfoo\ntry: -b do -p linux64,win32 -u all -t none');
+  // => {
+  //   message: 'try: -b do -p linux64,win32 -u all -t none',
+  //   builds: ['debug', 'opt'],
+  //   platforms: ['linux64', 'win32'],
+  //   unittests: ['all'],
+  //   talos: [],
+  //   jobs: [],
+  //   rebuild: 1,
+  //   flags: { rebuildTalos: 0, tag: null, setenv: [], noRetry: false, artifact: false },
+  //   unknown: [],
+  //   errors: []
+  // }
+
+List values are comma separated and `none` results in an empty list. Items
+may include a platform restriction in brackets (`mochitest-1[Windows XP]`)
+which is kept as part of the item. Unknown flags (and stray arguments) are
+collected in `unknown` and invalid values in `errors` rather then ignored.
+*/
+
+const TRY_PREFIX = 'try:';
+
+const BUILD_TYPES = { d: 'debug', o: 'opt' };
+
+function list(value) {
+  if (value === 'none') return [];
+  // Split on commas which are not within a bracketed restriction...
+  let items = [];
+  let depth = 0;
+  let current = '';
+  for (let char of value.split('')) {
+    if (char === '[') depth++;
+    if (char === ']') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current);
+  return items.map(item => item.trim()).filter(item => item);
+}
+
+function builds(value) {
+  if (!/^[do]+$/.test(value)) {
+    throw new Error(`-b expects some combination of "d" and "o" not "${value}"`);
+  }
+
+  let result = [];
+  for (let char of ['d', 'o']) {
+    if (value.indexOf(char) !== -1) result.push(BUILD_TYPES[char]);
+  }
+  return result;
+}
+
+function count(value, flag) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${flag} expects a number not "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+// Option names (in the result) and how to parse their value. Options
+// without a parser are boolean flags.
+const OPTIONS = {
+  builds: { flags: ['-b', '--build'], parse: builds },
+  platforms: { flags: ['-p', '--platform'], parse: list },
+  unittests: { flags: ['-u', '--unittests'], parse: list },
+  talos: { flags: ['-t', '--talos'], parse: list },
+  jobs: { flags: ['-j', '--job'], parse: list },
+  rebuild: { flags: ['--rebuild'], parse: count },
+  rebuildTalos: { flags: ['--rebuild-talos'], parse: count, extra: true },
+  tag: { flags: ['--tag'], parse: value => value, extra: true },
+  setenv: { flags: ['--setenv'], parse: value => value, extra: true, multiple: true },
+  noRetry: { flags: ['--no-retry'], extra: true },
+  artifact: { flags: ['--artifact'], extra: true }
+};
+
+const FLAGS = Object.keys(OPTIONS).reduce((result, name) => {
+  for (let flag of OPTIONS[name].flags) result[flag] = name;
+  return result;
+}, {});
+
+/**
+Split into whitespace separated tokens (whitespace within brackets is
+preserved).
+*/
+function tokenize(str) {
+  let tokens = [];
+  let depth = 0;
+  let current = '';
+  for (let char of str.split('')) {
+    if (char === '[') depth++;
+    if (char === ']') depth = Math.max(0, depth - 1);
+    if (/\s/.test(char) && depth === 0) {
+      if (current) tokens.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+/**
+Find the try line in a commit message.
+
+@return {String|null} from `try:` to the end of its line.
+*/
+export function tryMessage(message) {
+  let tryIdx = message.indexOf(TRY_PREFIX);
+
+  // No try...
+  if (tryIdx === -1) return null;
+
+  // End of try details are first newline or end of string...
+  let endIdx = message.indexOf('\n', tryIdx);
+  endIdx = (endIdx === -1) ? message.length : endIdx;
+
+  return message.slice(tryIdx, endIdx);
+}
+
+/**
+Parse the try syntax in a commit message.
+
+@return {Object|null} structured options (see above) or null if there is no
+                      try syntax in the message.
+*/
+export function parseTrySyntax(message) {
+  let line = tryMessage(message);
+  if (line === null) return null;
+
+  let result = {
+    message: line,
+    builds: [],
+    platforms: [],
+    unittests: [],
+    talos: [],
+    jobs: [],
+    rebuild: 1,
+    flags: {
+      rebuildTalos: 0,
+      tag: null,
+      setenv: [],
+      noRetry: false,
+      artifact: false
+    },
+    unknown: [],
+    errors: []
+  };
+
+  let tokens = tokenize(line.slice(TRY_PREFIX.length));
+  while (tokens.length) {
+    let token = tokens.shift();
+    let value;
+
+    // --flag=value
+    let eqIdx = token.indexOf('=');
+    if (token.slice(0, 2) === '--' && eqIdx !== -1) {
+      value = token.slice(eqIdx + 1);
+      token = token.slice(0, eqIdx);
+    }
+
+    let name = FLAGS[token];
+    if (!name) {
+      result.unknown.push(token);
+      continue;
+    }
+
+    let option = OPTIONS[name];
+    let target = option.extra ? result.flags : result;
+    if (!option.parse) {
+      target[name] = true;
+      continue;
+    }
+
+    if (value === undefined) {
+      if (!tokens.length || FLAGS[tokens[0].split('=')[0]]) {
+        result.errors.push(`${token} requires a value`);
+        continue;
+      }
+      value = tokens.shift();
+    }
+
+    try {
+      let parsed = option.parse(value, token);
+      if (option.multiple) {
+        target[name].push(parsed);
+      } else {
+        target[name] = parsed;
+      }
+    } catch (e) {
+      result.errors.push(e.message);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,223 @@
+/**
+Fetching of task graph templates (.taskcluster.yml) for a push.
+
+Templates are fetched from urls (`http(s)://` or `file://`) which are tried
+in order: when a template does not exist (404, 410 or a missing file) the
+next url is used, other permanent client errors (403, etc...) fail straight
+away and temporary failures (5xx, timeouts, etc...) are retried and then the
+same file is fetched from each of the mirrors before giving up. Mirrors replace the
+host of the url so with a mirror of `file:///srv/hg` the template at
+`https://hg.mozilla.org/try/raw-file/abc/.taskcluster.yml` can also be read
+from `/srv/hg/try/raw-file/abc/.taskcluster.yml`.
+
+The contents of a file never change for a given revision so templates (and
+templates which do not exist) are cached by repository, revision and path.
+*/
+
+import fs from 'mz/fs';
+import request from 'superagent-promise';
+import retry from 'promise-retries';
+import URL from 'url';
+
+const FETCH_RETRIES = 2;
+const FETCH_INTERVAL = 5000;
+const FETCH_TIMEOUT = 30000;
+
+export const DEFAULT_CACHE_SIZE = 100;
+
+// Returned (rather then thrown) so these are not retried...
+const NOT_FOUND = {};
+const PERMANENT = {};
+
+// Statuses meaning the file does not exist.
+const MISSING_STATUSES = [404, 410];
+
+// Client errors which may succeed when retried.
+const TEMPORARY_STATUSES = [408, 429];
+
+/**
+Thrown when a template could not be fetched from any url (or mirror).
+*/
+export class TemplateFetchError extends Error {
+  constructor(message) {
+    super(message);
+    this.message = message;
+    this.name = 'TemplateFetchError';
+  }
+}
+
+/**
+Least recently used cache of template contents (null for templates which do
+not exist).
+*/
+export class TemplateCache {
+  constructor(size = DEFAULT_CACHE_SIZE) {
+    this.size = size;
+    this.entries = new Map();
+  }
+
+  static key(repository, revision, path) {
+    return `${repository}@${revision}:${path}`;
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    let value = this.entries.get(key);
+    // Move to the end (most recently used)...
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.size) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+function errorStatus(err) {
+  return err.status || (err.response && err.response.status);
+}
+
+function isPermanent(status) {
+  return status >= 400 && status < 500 &&
+    TEMPORARY_STATUSES.indexOf(status) === -1;
+}
+
+/**
+Fetch a single url retrying temporary failures.
+
+@return {String|null} contents or null if there is no such file.
+@throws {Error} with `permanent` set for client errors which are not worth
+                retrying (or fetching from elsewhere).
+*/
+export async function fetchUrl(url, options = {}) {
+  let parsed = URL.parse(url);
+  if (parsed.protocol === 'file:') {
+    try {
+      return await fs.readFile(decodeURIComponent(parsed.pathname), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  let opts = {
+    retries: options.retries || FETCH_RETRIES,
+    interval: options.interval || FETCH_INTERVAL
+  };
+
+  // The error of the last attempt is more useful then the one of the retries.
+  let lastError;
+  let text;
+  try {
+    text = await retry(opts, async () => {
+      let res, error;
+      try {
+        res = await request.get(url).
+          timeout(options.timeout || FETCH_TIMEOUT).
+          buffer(true).
+          end();
+        error = res.error;
+      } catch (err) {
+        error = err;
+      }
+      if (!error) return res.text;
+
+      let status = errorStatus(error);
+      if (MISSING_STATUSES.indexOf(status) !== -1) return NOT_FOUND;
+      lastError = error;
+      if (isPermanent(status)) {
+        error.permanent = true;
+        return PERMANENT;
+      }
+      throw error;
+    });
+  } catch (err) {
+    throw lastError || err;
+  }
+
+  if (text === PERMANENT) throw lastError;
+  return text === NOT_FOUND ? null : text;
+}
+
+/**
+Replace the host of a url with a mirror.
+
+  mirrorUrl('https://hg.mozilla.org/try/raw-file/abc/x.yml', 'file:///srv/hg');
+  // => 'file:///srv/hg/try/raw-file/abc/x.yml'
+
+*/
+export function mirrorUrl(url, mirror) {
+  let { path } = URL.parse(url);
+  return mirror.replace(/\/$/, '') + path;
+}
+
+/**
+Fetch the first template which exists.
+
+@param {Array} urls to try in order.
+@param {Object} options
+  - repository: url of the repository (for the cache key).
+  - revision: of the push (for the cache key).
+  - mirrors: hosts (see `mirrorUrl`) to use when a url cannot be fetched.
+  - cache: `TemplateCache` (optional).
+  - retries, interval, timeout: see `fetchUrl`.
+@return {Object} { url, text } url is the (non mirror) url of the template.
+*/
+export async function fetchTemplate(urls, options = {}) {
+  let { repository, revision, cache, mirrors = [] } = options;
+
+  for (let url of urls) {
+    let key = TemplateCache.key(repository, revision, URL.parse(url).pathname);
+    let cached = cache && cache.get(key);
+    if (cached === null) {
+      console.log(`No template at ${url} (cached)`);
+      continue;
+    }
+    if (cached !== undefined) return { url, text: cached };
+
+    let text;
+    let errors = [];
+    for (let source of [url].concat(mirrors.map(mirror => mirrorUrl(url, mirror)))) {
+      try {
+        console.log(`fetching template ${source}`);
+        let result = await fetchUrl(source, options);
+        // Only the url itself can tell us the template does not exist
+        // (mirrors may be behind)...
+        if (result === null && source !== url) {
+          errors.push(`${source}: not found on mirror`);
+          continue;
+        }
+        text = result;
+        break;
+      } catch (err) {
+        console.log(`Could not fetch template ${source} ${err.stack || err}`);
+        errors.push(`${source}: ${err.message}`);
+        // Mirrors serve the same files so would fail the same way...
+        if (err.permanent && source === url) break;
+      }
+    }
+
+    // The template may well exist but we cannot tell so there is nothing to
+    // fall back to...
+    if (text === undefined) {
+      throw new TemplateFetchError(
+        `Could not fetch template ${url}\n ${errors.join('\n ')}`
+      );
+    }
+
+    if (cache) cache.set(key, text);
+    if (text === null) {
+      console.log(`No template at ${url}`);
+      continue;
+    }
+
+    return { url, text };
+  }
+
+  throw new TemplateFetchError(`No template found at ${urls.join(', ')}`);
+}
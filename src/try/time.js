@@ -0,0 +1,85 @@
+/**
+Helpers for relative time expressions used by task graph templates:
+
+  [-]X years X months X weeks X days X hours X minutes X seconds
+
+Every unit is optional (but must appear in this order) and may be
+abbreviated (y/yr, mo, w/wk, d, h/hr, m/min, s/sec). A leading `-` applies
+to the whole expression.
+*/
+
+const TIME_EXP = new RegExp([
+  '^\\s*([-+])?\\s*',
+  '(?:(\\d+)\\s*(?:years?|yrs?|y)\\s*)?',
+  '(?:(\\d+)\\s*(?:months?|mos?)\\s*)?',
+  '(?:(\\d+)\\s*(?:weeks?|wks?|w)\\s*)?',
+  '(?:(\\d+)\\s*(?:days?|d)\\s*)?',
+  '(?:(\\d+)\\s*(?:hours?|hrs?|h)\\s*)?',
+  '(?:(\\d+)\\s*(?:minutes?|mins?|m)\\s*)?',
+  '(?:(\\d+)\\s*(?:seconds?|secs?|s)\\s*)?$'
+].join(''));
+
+const UNITS = [
+  'years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds'
+];
+
+const EXAMPLE = '1 year 2 months 3 weeks 4 days 5 hours 6 minutes 7 seconds';
+
+/**
+Parse time string
+
+  parseTime('-1 day 2 hours');
+  // => { years: 0, months: 0, weeks: 0, days: -1, hours: -2, ... }
+
+*/
+export function parseTime(str) {
+  if (typeof str !== 'string') {
+    throw new Error(`Time expression must be a string not ${typeof str}`);
+  }
+
+  let match = TIME_EXP.exec(str);
+  if (!match || !match.slice(2).some(value => value !== undefined)) {
+    throw new Error(
+      `Invalid time expression "${str}" (expected something like "${EXAMPLE}")`
+    );
+  }
+
+  let sign = match[1] === '-' ? -1 : 1;
+  return UNITS.reduce((time, unit, idx) => {
+    // Avoid -0...
+    time[unit] = sign * parseInt(match[idx + 2] || 0, 10) || 0;
+    return time;
+  }, {});
+};
+
+/**
+Add months to a date (in UTC) without overflowing into the next month, for
+example the 31st of January plus one month is the 28th (or 29th) of February.
+*/
+function addMonths(date, months) {
+  let result = new Date(date.getTime());
+  let day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  let daysInMonth = new Date(Date.UTC(
+    result.getUTCFullYear(), result.getUTCMonth() + 1, 0
+  )).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+}
+
+/** Convert time object to relative Date object*/
+export function relativeTime(time, to = new Date()) {
+  let months = (time.years || 0) * 12 + (time.months || 0);
+  let date = months ? addMonths(to, months) : new Date(to.getTime());
+
+  return new Date(
+    date.getTime()
+    + (time.weeks   || 0) * 7 * 24 * 60 * 60 * 1000
+    + (time.days    || 0)     * 24 * 60 * 60 * 1000
+    + (time.hours   || 0)          * 60 * 60 * 1000
+    + (time.minutes || 0)               * 60 * 1000
+    + (time.seconds || 0)                    * 1000
+  );
+};
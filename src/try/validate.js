@@ -0,0 +1,195 @@
+/**
+Validation of task graph templates (and the graphs they render to) so
+mistakes can be found before pushing.
+
+  let { graph, errors } = validateTemplate(text, variables);
+  // errors => [{ path: 'tasks[0].task.workerType', message: '...' }]
+
+*/
+
+import yaml from 'js-yaml';
+import instantiate from './instantiate';
+import { parseTime } from './time';
+import { describeTemplateError } from './errors';
+let Joi = require('joi');
+
+const STRINGS = Joi.array().includes(Joi.string());
+
+const METADATA_SCHEMA = Joi.object().keys({
+  name: Joi.string().required(),
+  description: Joi.string().required(),
+  owner: Joi.string().required(),
+  source: Joi.string().required()
+}).unknown(true);
+
+// Tasks are validated individually (so every error can be reported).
+const GRAPH_SCHEMA = Joi.object().keys({
+  version: Joi.number(),
+  scopes: STRINGS,
+  routes: STRINGS,
+  tags: Joi.object(),
+  metadata: METADATA_SCHEMA.required(),
+  tasks: Joi.array().min(1).required()
+}).unknown(true);
+
+const TASK_NODE_SCHEMA = Joi.object().keys({
+  taskId: Joi.string().required(),
+  requires: STRINGS,
+  reruns: Joi.number().integer().min(0),
+  task: Joi.object().required()
+}).unknown(true);
+
+const TASK_SCHEMA = Joi.object().keys({
+  provisionerId: Joi.string().required(),
+  workerType: Joi.string().required(),
+  created: Joi.date().required(),
+  deadline: Joi.date().required(),
+  expires: Joi.date(),
+  scopes: STRINGS,
+  routes: STRINGS,
+  dependencies: STRINGS,
+  payload: Joi.object().required(),
+  metadata: METADATA_SCHEMA.required(),
+  tags: Joi.object(),
+  extra: Joi.object()
+}).unknown(true);
+
+// Mustache `from_now` sections which do not contain other tags.
+const FROM_NOW_SECTION =
+  /\{\{\s*#\s*from_now\s*\}\}([^{]*?)\{\{\s*\/\s*from_now\s*\}\}/g;
+
+// Joi paths are dot separated (tasks.0.task) convert array indexes to the
+// more familiar tasks[0].task format...
+function formatPath(prefix, path) {
+  let parts = path ? String(path).split('.') : [];
+  return parts.reduce((result, part) => {
+    if (/^\d+$/.test(part)) return `${result}[${part}]`;
+    return result ? `${result}.${part}` : part;
+  }, prefix);
+}
+
+function joiErrors(value, schema, prefix = '') {
+  let result = Joi.validate(value, schema, { abortEarly: false });
+  if (!result.error) return [];
+  return result.error.details.map((detail) => {
+    return { path: formatPath(prefix, detail.path), message: detail.message };
+  });
+}
+
+function timeError(path, text) {
+  try {
+    parseTime(text);
+    return null;
+  } catch (e) {
+    return { path, message: e.message };
+  }
+}
+
+/**
+Find relative times which cannot be parsed by `parseTime` in the (unrendered)
+template. Mustache `from_now` sections are reported by line, JSON-e
+`$fromNow` operators by their path.
+*/
+export function validateRelativeTimes(text) {
+  let errors = [];
+  let match;
+  FROM_NOW_SECTION.lastIndex = 0;
+  while ((match = FROM_NOW_SECTION.exec(text))) {
+    let line = text.slice(0, match.index).split('\n').length;
+    let error = timeError(`line ${line}`, match[1]);
+    if (error) errors.push(error);
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.safeLoad(text);
+  } catch (e) {
+    // Syntax errors are reported when the template is rendered.
+    return errors;
+  }
+
+  (function walk(value, path) {
+    if (Array.isArray(value)) {
+      value.forEach((item, idx) => walk(item, `${path}[${idx}]`));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    let offset = value.$fromNow;
+    // Interpolated values can only be checked once rendered.
+    if (typeof offset === 'string' && offset.indexOf('${') === -1) {
+      let error = timeError(`${path}.$fromNow`, offset);
+      if (error) errors.push(error);
+    }
+
+    for (let key of Object.keys(value)) {
+      walk(value[key], path ? `${path}.${key}` : key);
+    }
+  })(parsed, '');
+
+  return errors;
+}
+
+/**
+Validate a rendered graph returning a list of errors (empty when valid).
+*/
+export function validateGraph(graph) {
+  let errors = joiErrors(graph, GRAPH_SCHEMA);
+  if (!graph || !Array.isArray(graph.tasks)) return errors;
+
+  graph.tasks.forEach((node, idx) => {
+    let prefix = `tasks[${idx}]`;
+    let nodeErrors = joiErrors(node, TASK_NODE_SCHEMA, prefix);
+    errors = errors.concat(nodeErrors);
+    if (!node || !node.task || typeof node.task !== 'object') return;
+
+    let task = node.task;
+    let taskErrors = joiErrors(task, TASK_SCHEMA, `${prefix}.task`);
+    errors = errors.concat(taskErrors);
+    if (taskErrors.length) return;
+
+    let created = new Date(task.created);
+    let deadline = new Date(task.deadline);
+    if (deadline <= created) {
+      errors.push({
+        path: `${prefix}.task.deadline`,
+        message: 'deadline must be after created'
+      });
+    }
+
+    if (task.expires && new Date(task.expires) < deadline) {
+      errors.push({
+        path: `${prefix}.task.expires`,
+        message: 'expires must not be before deadline'
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+Render a template (see `instantiate`) and validate the result.
+
+@param {String} text of the template.
+@param {Object} variables passed to `instantiate`.
+@return {Object} { graph, errors } graph is undefined if rendering failed.
+*/
+export function validateTemplate(text, variables) {
+  let timeErrors = validateRelativeTimes(text);
+
+  let graph;
+  try {
+    graph = instantiate(text, variables);
+  } catch (e) {
+    // Rendering would have failed on the first invalid relative time which
+    // has already been reported (with a more useful path).
+    if (timeErrors.length) return { errors: timeErrors };
+
+    let { message, line, column } = describeTemplateError(e, text);
+    let path = line ? `template:${line}:${column}` : 'template';
+    return { errors: [{ path, message }] };
+  }
+
+  return { graph, errors: timeErrors.concat(validateGraph(graph)) };
+}
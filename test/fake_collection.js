@@ -0,0 +1,71 @@
+import _ from 'lodash';
+
+/**
+Minimal in memory stand in for a mongo collection (as wrapped by
+proxied-promise-object) so Collection subclasses can be tested without mongo.
+
+  let repos = new Repositories(fakeCollection());
+
+*/
+export default function fakeCollection() {
+  let docs = [];
+  return {
+    docs,
+
+    async findOne(query) {
+      return _.find(docs, query) || null;
+    },
+
+    async insert(doc) {
+      if (_.find(docs, { id: doc.id })) {
+        let err = new Error('duplicate key');
+        err.code = 11000;
+        throw err;
+      }
+      docs.push(doc);
+      return { ops: [doc] };
+    },
+
+    async update(query, update, options = {}) {
+      let doc = _.find(docs, query);
+      if (doc) {
+        return { result: { n: 1 } };
+      }
+
+      if (options.upsert) {
+        docs.push(Object.assign({}, query, update.$setOnInsert));
+      }
+      return { result: { n: options.upsert ? 1 : 0 } };
+    },
+
+    async findOneAndReplace(query, doc) {
+      let idx = _.findIndex(docs, query);
+      if (idx === -1) return { value: null };
+      let value = docs[idx];
+      docs[idx] = doc;
+      return { value };
+    },
+
+    async findOneAndUpdate(query, update, options = {}) {
+      let idx = _.findIndex(docs, query);
+      if (idx === -1) return { value: null };
+      let original = docs[idx];
+      let doc = docs[idx] = Object.assign({}, original, update.$set);
+      _.forEach(update.$push, (value, key) => {
+        doc[key] = (doc[key] || []).concat(value.$each || [value]);
+      });
+      return { value: options.returnOriginal === false ? doc : original };
+    },
+
+    async deleteOne(query) {
+      let removed = _.remove(docs, query);
+      return { deletedCount: removed.length };
+    },
+
+    subject: {
+      find(query) {
+        return { toArray: (fn) => fn(null, _.filter(docs, query)) };
+      }
+    }
+  };
+}
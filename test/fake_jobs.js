@@ -0,0 +1,109 @@
+/**
+Minimal in memory stand in for a kue queue (and its redis client) so jobs can
+be tested without redis.
+
+  let jobs = fakeJobs();
+  // ... schedule jobs ...
+  jobs.scheduled; // => [{ topic, body }] (and delay when set)
+
+*/
+export default function fakeJobs() {
+  let keys = {};
+  let hashes = {};
+  let sortedSets = {};
+
+  let jobs = {
+    scheduled: [],
+    // When set saving jobs fails with this error.
+    saveError: null,
+
+    create(topic, body) {
+      let job = {
+        attempts() { return job; },
+        delay(ms) { job._delay = ms; return job; },
+        searchKeys() { return job; },
+        backoff() { return job; },
+        save(fn) {
+          if (jobs.saveError) return fn(jobs.saveError);
+          let scheduled = { topic, body };
+          if (job._delay) scheduled.delay = job._delay;
+          jobs.scheduled.push(scheduled);
+          fn();
+        }
+      };
+      return job;
+    },
+
+    client: {
+      keys,
+      hashes,
+      getKey(name) {
+        return `test:${name}`;
+      },
+      set(key, value, nx, px, ttl, fn) {
+        if (keys[key]) return fn(null, null);
+        keys[key] = value;
+        fn(null, 'OK');
+      },
+      del(...list) {
+        let fn = list.pop();
+        list.forEach(key => delete keys[key]);
+        fn(null, list.length);
+      },
+      // The whole key space is returned in a single call.
+      scan(cursor, match, pattern, count, n, fn) {
+        let glob = new RegExp('^' + pattern.split('*').map((part) => {
+          return part.replace(/[.?+^$()[\]{}|\\]/g, '\\$&');
+        }).join('.*') + '$');
+        fn(null, ['0', Object.keys(keys).filter(key => glob.test(key))]);
+      },
+      mget(list, fn) {
+        fn(null, list.map(key => keys.hasOwnProperty(key) ? keys[key] : null));
+      },
+      hincrby(key, field, by, fn) {
+        let hash = hashes[key] = hashes[key] || {};
+        hash[field] = String(parseInt(hash[field] || 0, 10) + by);
+        fn(null, parseInt(hash[field], 10));
+      },
+      hgetall(key, fn) {
+        fn(null, hashes[key] || null);
+      },
+      // Sorted sets are kept as [{ score, member }] in score order.
+      zadd(key, score, member, fn) {
+        let set = (sortedSets[key] || []).filter(item => item.member !== String(member));
+        set.push({ score: Number(score), member: String(member) });
+        sortedSets[key] = set.sort((a, b) => a.score - b.score);
+        fn(null, 1);
+      },
+      zremrangebyrank(key, start, stop, fn) {
+        let set = sortedSets[key] || [];
+        let removed = set.slice(start, stop < 0 ? set.length + stop + 1 : stop + 1);
+        sortedSets[key] = set.filter(item => removed.indexOf(item) === -1);
+        fn(null, removed.length);
+      },
+      zrevrange(key, start, stop, fn) {
+        let set = (sortedSets[key] || []).slice().reverse();
+        let items = set.slice(start, stop < 0 ? set.length + stop + 1 : stop + 1);
+        fn(null, items.map(item => item.member));
+      },
+      pexpire(key, ms, fn) {
+        fn(null, sortedSets[key] ? 1 : 0);
+      }
+    }
+  };
+
+  // Only the compare and swap script of src/jobs/rate_limit.js is supported:
+  // KEYS, ARGV = current values, new values, ttls. (Assigned rather then
+  // declared as `eval` is not a valid function name in strict mode).
+  jobs.client.eval = function(script, count, ...args) {
+    let fn = args.pop();
+    let list = args.slice(0, count);
+    let argv = args.slice(count);
+    let matches = list.every((key, idx) => (keys[key] || '') === argv[idx]);
+    if (!matches) return fn(null, 0);
+    list.forEach((key, idx) => keys[key] = argv[count + idx]);
+    fn(null, 1);
+  };
+
+  return jobs;
+}
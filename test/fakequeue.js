@@ -4,6 +4,7 @@ export default class FakeQueue {
   constructor() {
     this.tasks = [];
     this.createdTasks = [];
+    this.statuses = {};
   }
 
   /**
@@ -13,6 +14,17 @@ export default class FakeQueue {
     this.tasks.push(_.defaults(body, {taskId, dependencies: []}));
   }
 
+  /**
+   * Set the status of a task in the fake queue, artifacts are those of the
+   * last run
+   */
+  setStatus (taskId, {state, expires, artifacts = []}) {
+    this.statuses[taskId] = {
+      status: {taskId, expires, runs: state ? [{runId: 0, state}] : []},
+      artifacts
+    };
+  }
+
   async task (taskId) {
     let task = _.find(this.tasks, {taskId});
     if (task) {
@@ -22,6 +34,30 @@ export default class FakeQueue {
     }
   }
 
+  async status (taskId) {
+    if (!this.statuses[taskId]) {
+      let err = new Error("no such task sorry");
+      err.statusCode = 404;
+      throw err;
+    }
+    return {status: this.statuses[taskId].status};
+  }
+
+  async listArtifacts (taskId, runId, options) {
+    // one artifact at a time to test the continuationToken handling
+    let offset = 0;
+    if (options && options.hasOwnProperty('continuationToken')) {
+      offset = JSON.parse(options.continuationToken);
+    }
+
+    let artifacts = _.slice(this.statuses[taskId].artifacts, offset, offset + 1);
+    let result = {taskId, runId, artifacts};
+    if (artifacts.length) {
+      result.continuationToken = JSON.stringify(offset + 1);
+    }
+    return result;
+  }
+
   async createTask (taskId, taskDef) {
     this.createdTasks.push({taskId, taskDef});
   }
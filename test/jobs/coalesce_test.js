@@ -0,0 +1,56 @@
+import fakeJobs from '../fake_jobs';
+import assert from 'assert';
+import TreeherderResultsetJob from '../../src/jobs/treeherder_resultset';
+import { recordPush, newestPush } from '../../src/jobs/coalesce';
+
+suite('jobs/coalesce', function() {
+  let jobs;
+  setup(function() {
+    jobs = fakeJobs();
+  });
+
+  test('newestPush() without pushes', async function() {
+    assert.equal(await newestPush(jobs, 'repo'), null);
+  });
+
+  test('recordPush() keeps the newest push', async function() {
+    await recordPush(jobs, 'repo', 5);
+    await recordPush(jobs, 'repo', 7);
+    await recordPush(jobs, 'repo', 6);
+    await recordPush(jobs, 'other', 1);
+
+    assert.equal(await newestPush(jobs, 'repo'), 7);
+    assert.equal(await newestPush(jobs, 'other'), 1);
+  });
+
+  test('graph jobs are delayed and recorded', async function() {
+    let job = new TreeherderResultsetJob({
+      runtime: { jobs },
+      config: {
+        try: {
+          projects: {
+            busy: { coalesce: { window: '2 minutes' } },
+            quiet: {}
+          }
+        }
+      }
+    });
+
+    let resultset = { revision: 'abc', revision_hash: 'hash' };
+    await job.scheduleTaskGraphJob(
+      resultset, { id: 'busy-id', alias: 'busy' }, { id: 3 }
+    );
+    await job.scheduleTaskGraphJob(
+      resultset, { id: 'quiet-id', alias: 'quiet' }, { id: 4 }
+    );
+
+    let [busy, quiet] = jobs.scheduled;
+    assert.equal(busy.delay, 2 * 60 * 1000);
+    assert.equal(busy.body.coalesce, true);
+    assert.equal(quiet.delay, undefined);
+    assert.equal(quiet.body.coalesce, false);
+
+    assert.equal(await newestPush(jobs, 'busy-id'), 3);
+    assert.equal(await newestPush(jobs, 'quiet-id'), null);
+  });
+});
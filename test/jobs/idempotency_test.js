@@ -0,0 +1,68 @@
+import fakeJobs from '../fake_jobs';
+import Base from '../../src/jobs/base';
+import * as idempotency from '../../src/jobs/idempotency';
+import assert from 'assert';
+
+suite('jobs/idempotency', function() {
+  let jobs, base;
+  setup(function() {
+    jobs = fakeJobs();
+    base = new Base({ config: {}, runtime: { jobs } });
+  });
+
+  test('idempotencyKey()', function() {
+    assert.equal(base.idempotencyKey('graph', 'try', 5), 'graph/try/5');
+    assert.throws(() => base.idempotencyKey());
+    assert.throws(() => base.idempotencyKey('graph', {}));
+  });
+
+  test('scheduleJob() drops duplicates', async function() {
+    let key = base.idempotencyKey('graph', 'try', 5);
+    assert.ok(await base.scheduleJob(base.createJob('graph', { id: 1 }), key));
+    assert.ok(!await base.scheduleJob(base.createJob('graph', { id: 2 }), key));
+    // Jobs without a key are always scheduled...
+    assert.ok(await base.scheduleJob(base.createJob('graph', { id: 3 })));
+
+    assert.deepEqual(jobs.scheduled.map(job => job.body.id), [1, 3]);
+  });
+
+  test('scheduleJob() releases the key when saving fails', async function() {
+    let key = base.idempotencyKey('graph', 'try', 5);
+    jobs.saveError = new Error('kue is down');
+    try {
+      await base.scheduleJob(base.createJob('graph', { id: 1 }), key);
+      assert.fail('should have thrown');
+    } catch (err) {
+      assert.equal(err.message, 'kue is down');
+    }
+
+    jobs.saveError = null;
+    assert.ok(await base.scheduleJob(base.createJob('graph', { id: 2 }), key));
+    assert.deepEqual(jobs.scheduled.map(job => job.body.id), [2]);
+  });
+
+  test('releasePush() allows a push to be scheduled again', async function() {
+    let key = base.idempotencyKey('taskcluster-graph', 'repo', 5);
+    assert.ok(await base.scheduleJob(base.createJob('graph', { id: 1 }), key));
+
+    await idempotency.releasePush(jobs, 'repo', 5);
+    assert.ok(await base.scheduleJob(base.createJob('graph', { id: 2 }), key));
+  });
+
+  test('releasePushes() releases keys of newer pushes', async function() {
+    for (let [topic, repo, push] of [
+      ['publish-push', 'repo', 4],
+      ['publish-push', 'repo', 5],
+      ['taskcluster-graph', 'repo', 12],
+      ['taskcluster-graph', 'other', 12]
+    ]) {
+      await idempotency.claim(jobs, base.idempotencyKey(topic, repo, push));
+    }
+
+    assert.equal(await idempotency.releasePushes(jobs, 'repo', 4), 2);
+    assert.deepEqual(Object.keys(jobs.client.keys).sort(), [
+      'test:idempotency:publish-push/repo/4',
+      'test:idempotency:taskcluster-graph/other/12'
+    ]);
+  });
+});
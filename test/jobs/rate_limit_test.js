@@ -0,0 +1,95 @@
+import fakeJobs from '../fake_jobs';
+import assert from 'assert';
+import {
+  takeTokens, take, changeDepth, queueDepth
+} from '../../src/jobs/rate_limit';
+
+suite('jobs/rate_limit', function() {
+  const MINUTE = 60 * 1000;
+
+  test('takeTokens() from new buckets', function() {
+    let result = takeTokens(
+      [null, null],
+      [{ perMinute: 1, burst: 3 }, { perMinute: 10 }],
+      1000
+    );
+    assert.deepEqual(result, {
+      wait: 0,
+      states: [{ tokens: 2, updated: 1000 }, { tokens: 0, updated: 1000 }]
+    });
+  });
+
+  test('takeTokens() refills buckets over time', function() {
+    let limits = [{ perMinute: 2, burst: 2 }];
+    assert.deepEqual(
+      takeTokens([{ tokens: 0, updated: 0 }], limits, MINUTE / 2),
+      { wait: 0, states: [{ tokens: 0, updated: MINUTE / 2 }] }
+    );
+
+    // Never more then burst...
+    assert.deepEqual(
+      takeTokens([{ tokens: 0, updated: 0 }], limits, 10 * MINUTE).states,
+      [{ tokens: 1, updated: 10 * MINUTE }]
+    );
+  });
+
+  test('takeTokens() waits for the slowest bucket', function() {
+    let result = takeTokens(
+      [{ tokens: 0.5, updated: 0 }, { tokens: 0, updated: 0 }],
+      [{ perMinute: 1 }, { perMinute: 2 }],
+      0
+    );
+    assert.deepEqual(result, { wait: MINUTE / 2 });
+  });
+
+  test('take()', async function() {
+    let jobs = fakeJobs();
+    let buckets = [
+      { name: 'project/try', limit: { perMinute: 1, burst: 2 } },
+      { name: 'global', limit: { perMinute: 60 } }
+    ];
+
+    assert.equal(await take(jobs, buckets, 0), 0);
+    // Global bucket is empty...
+    assert.equal(await take(jobs, buckets, 0), 1000);
+    assert.equal(await take(jobs, buckets, 1000), 0);
+    // Project bucket is empty (and refilled by 2 seconds worth)...
+    let wait = await take(jobs, buckets, 2000);
+    assert.ok(Math.abs(wait - (MINUTE - 2000)) <= 1, wait);
+
+    let state = JSON.parse(jobs.client.keys['test:rate-limit:project/try']);
+    assert.equal(state.updated, 1000);
+  });
+
+  test('take() retries when buckets change', async function() {
+    let jobs = fakeJobs();
+    let client = jobs.client;
+    let mget = client.mget;
+    let changed = false;
+    client.mget = function(list, fn) {
+      mget.call(client, list, (err, values) => {
+        // Another worker takes the last token in between...
+        if (!changed) {
+          changed = true;
+          client.keys['test:rate-limit:global'] =
+            JSON.stringify({ tokens: 0, updated: 0 });
+        }
+        fn(err, values);
+      });
+    };
+
+    let buckets = [{ name: 'global', limit: { perMinute: 1 } }];
+    assert.equal(await take(jobs, buckets, 0), MINUTE);
+  });
+
+  test('queueDepth()', async function() {
+    let jobs = fakeJobs();
+    assert.deepEqual(await queueDepth(jobs), {});
+
+    assert.equal(await changeDepth(jobs, 'try', 1), 1);
+    assert.equal(await changeDepth(jobs, 'try', 1), 2);
+    assert.equal(await changeDepth(jobs, 'mozilla-central', 1), 1);
+    assert.equal(await changeDepth(jobs, 'mozilla-central', -1), 0);
+    assert.deepEqual(await queueDepth(jobs), { try: 2 });
+  });
+});
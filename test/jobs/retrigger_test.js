@@ -101,6 +101,164 @@ suite('jobs/retrigger', function() {
         assert.notEqual(fakeQueue.createdTasks[1].taskDef.payload.image.taskId, 'buildId');
       });
     });
+
+    suite('duplicateUpstreamInTaskGroup', function() {
+      let now = new Date('2016-06-01T00:00:00.000Z');
+      let past = '2016-05-01T00:00:00.000Z';
+      // Deadline of the duplicated tasks...
+      let deadline = '2016-06-02T00:00:00.000Z';
+      let future = '2016-07-01T00:00:00.000Z';
+
+      let newTaskIds = function() {
+        return _.reduce(fakeQueue.createdTasks, (result, create) => {
+          result[create.taskDef.payload.command] = create.taskId;
+          return result;
+        }, {});
+      };
+
+      // Tasks were created a month ago with a deadline of a day...
+      let addTask = function(taskId, command, dependencies) {
+        fakeQueue.addTask(taskId, {
+          payload: {command},
+          dependencies,
+          taskGroupId: 'tgid',
+          created: past,
+          deadline: '2016-05-02T00:00:00.000Z'
+        });
+      };
+
+      let taskDef = function(command, dependencies) {
+        return {
+          payload: {command},
+          dependencies,
+          taskGroupId: 'tgid',
+          created: now.toJSON(),
+          deadline
+        };
+      };
+
+      setup(function() {
+        addTask('decisionId', 'decision', []);
+        addTask('toolchainId', 'toolchain', ['decisionId']);
+        addTask('buildId', 'build', ['decisionId', 'toolchainId']);
+        addTask('testId', 'test', ['decisionId', 'buildId']);
+        addTask('signId', 'sign', ['testId']);
+        fakeQueue.tasks[3].payload.image = {type: 'task-image', taskId: 'buildId'};
+
+        let artifacts = [{name: 'public/a', expires: future}, {name: 'public/b', expires: future}];
+        for (let taskId of ['decisionId', 'toolchainId', 'buildId']) {
+          fakeQueue.setStatus(taskId, {state: 'completed', expires: future, artifacts});
+        }
+      });
+
+      test("reuses dependencies which are still available", async function() {
+        let res = await job.duplicateUpstreamInTaskGroup('try', fakeQueue, 'testId', now);
+        assert.equal(res, 'tgid');
+
+        let expected = taskDef('test', ['decisionId', 'buildId']);
+        expected.payload.image = {type: 'task-image', taskId: 'buildId'};
+        assert.deepEqual(fakeQueue.createdTasks, [
+          {taskDef: expected, taskId: newTaskIds()['test']}
+        ]);
+      });
+
+      test("duplicates dependencies with expired artifacts", async function() {
+        fakeQueue.setStatus('buildId', {
+          state: 'completed',
+          expires: future,
+          artifacts: [{name: 'public/a', expires: future}, {name: 'public/b', expires: past}]
+        });
+
+        await job.duplicateUpstreamInTaskGroup('try', fakeQueue, 'testId', now);
+        let ids = newTaskIds();
+
+        let expected = taskDef('test', ['decisionId', ids['build']]);
+        expected.payload.image = {type: 'task-image', taskId: ids['build']};
+        assert.deepEqual(fakeQueue.createdTasks, [
+          {taskDef: taskDef('build', ['decisionId', 'toolchainId']), taskId: ids['build']},
+          {taskDef: expected, taskId: ids['test']}
+        ]);
+      });
+
+      test("duplicates dependencies expiring before the deadline", async function() {
+        fakeQueue.setStatus('buildId', {
+          state: 'completed',
+          expires: future,
+          artifacts: [{name: 'public/a', expires: '2016-06-01T12:00:00.000Z'}]
+        });
+
+        await job.duplicateUpstreamInTaskGroup('try', fakeQueue, 'testId', now);
+        assert.deepEqual(
+          fakeQueue.createdTasks.map(create => create.taskDef.payload.command),
+          ['build', 'test']
+        );
+      });
+
+      test("duplicates the chain of unavailable dependencies", async function() {
+        fakeQueue.setStatus('toolchainId', {state: 'completed', expires: past});
+        fakeQueue.setStatus('buildId', {state: 'failed', expires: future});
+
+        await job.duplicateUpstreamInTaskGroup('try', fakeQueue, 'testId', now);
+        let ids = newTaskIds();
+        assert.deepEqual(
+          fakeQueue.createdTasks.map(create => create.taskDef.payload.command),
+          ['toolchain', 'build', 'test']
+        );
+        assert.deepEqual(
+          fakeQueue.createdTasks.map(create => create.taskDef.dependencies),
+          [
+            ['decisionId'],
+            ['decisionId', ids['toolchain']],
+            ['decisionId', ids['build']]
+          ]
+        );
+      });
+
+      test("waits for dependencies which have not resolved", async function() {
+        fakeQueue.setStatus('buildId', {state: 'running', expires: past});
+
+        await job.duplicateUpstreamInTaskGroup('try', fakeQueue, 'testId', now);
+        assert.deepEqual(
+          fakeQueue.createdTasks.map(create => create.taskDef.dependencies),
+          [['decisionId', 'buildId']]
+        );
+      });
+
+      test("never duplicates the decision task", async function() {
+        fakeQueue.setStatus('decisionId', {state: 'failed', expires: past});
+        fakeQueue.setStatus('buildId', {state: 'failed', expires: future});
+
+        await job.duplicateUpstreamInTaskGroup('try', fakeQueue, 'testId', now);
+        let ids = newTaskIds();
+        assert.deepEqual(
+          fakeQueue.createdTasks.map(create => create.taskDef.payload.command),
+          ['build', 'test']
+        );
+        assert.deepEqual(
+          fakeQueue.createdTasks.map(create => create.taskDef.dependencies),
+          [['decisionId', 'toolchainId'], ['decisionId', ids['build']]]
+        );
+      });
+
+      test("fails clearly for dependencies the queue has expired", async function() {
+        delete fakeQueue.statuses.buildId;
+        fakeQueue.setStatus('toolchainId', {state: 'completed', expires: past});
+
+        let error;
+        try {
+          await job.duplicateUpstreamInTaskGroup('try', fakeQueue, 'testId', now);
+        } catch (err) {
+          error = err;
+        }
+        assert.ok(error, 'retrigger fails');
+        assert.equal(
+          error.message,
+          'Task testId depends on task buildId which no longer exists ' +
+          '(it has expired) so it can neither be reused nor duplicated'
+        );
+        assert.deepEqual(fakeQueue.createdTasks, []);
+      });
+    });
   });
 });
 
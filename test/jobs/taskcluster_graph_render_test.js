@@ -0,0 +1,482 @@
+import assert from 'assert';
+import Hapi from 'hapi';
+import denodeify from 'denodeify';
+import fs from 'mz/fs';
+import os from 'os';
+import path from 'path';
+import Project from 'mozilla-treeherder/project';
+import taskcluster from 'taskcluster-client';
+import fakeJobs from '../fake_jobs';
+import * as rateLimit from '../../src/jobs/rate_limit';
+import { recordPush } from '../../src/jobs/coalesce';
+import TaskclusterGraphJob, {
+  taskGroupDefinitions
+} from '../../src/jobs/taskcluster_graph';
+
+suite('jobs/taskcluster_graph (rendering)', function() {
+  const PORT = 60111;
+
+  let server, graph, template;
+  suiteSetup(async function() {
+    graph =
+      await fs.readFile(__dirname + '/../fixtures/try/decision.yml', 'utf8');
+
+    server = new Hapi.Server();
+    server.connection({ port: PORT });
+    server.route({
+      method: 'GET',
+      path: '/try/raw-file/{revision}/.taskcluster.yml',
+      handler(request, reply) {
+        reply(template);
+      }
+    });
+    await denodeify(server.start.bind(server))();
+  });
+
+  suiteTeardown(async function() {
+    await denodeify(server.stop.bind(server))();
+  });
+
+  let output, job, config, jobs;
+  setup(function() {
+    jobs = fakeJobs();
+    template = graph;
+    output = path.join(os.tmpdir(), `dry-run-${Date.now()}.json`);
+    config = {
+      taskcluster: {},
+      treeherder: { credentials: {}, apiUrl: 'http://localhost:1/api/' },
+      try: {
+        tcYamlUrl: '{{{host}}}{{{path}}}/raw-file/{{revision}}/.taskcluster.yml',
+        defaultUrl: 'http://localhost:1/nothing/here',
+        projects: {
+          try: { level: 1, scopes: ['assume:repo:hg.mozilla.org/try:*'] }
+        }
+      }
+    };
+
+    let pushlog = {
+      async getOne(url, id) {
+        return {
+          id,
+          user: 'user@example.com',
+          date: 1464739200,
+          changesets: [{
+            node: 'def456',
+            author: 'Some One <some@example.com>',
+            desc: 'Bug 1 - first',
+            files: ['a.js'],
+            branch: 'default',
+            parents: ['base789']
+          }, {
+            // Pushes other then 5 (see `submit`) are newer pushes...
+            node: id === 5 ? 'abc123' : `rev${id}`,
+            author: 'Some One <some@example.com>',
+            desc: 'try: -b o',
+            files: ['a.js', 'b.js'],
+            branch: 'default',
+            parents: ['def456']
+          }]
+        };
+      }
+    };
+
+    job = new TaskclusterGraphJob({
+      config,
+      runtime: { jobs, pushlog: { forRepository: () => pushlog } }
+    });
+  });
+
+  teardown(async function() {
+    if (await fs.exists(output)) await fs.unlink(output);
+  });
+
+  async function dryRun() {
+    await job.work({
+      data: {
+        repo: { alias: 'try', url: `http://localhost:${PORT}/try/` },
+        pushref: { id: 5 },
+        revision_hash: 'xfoo',
+        dryRun: true,
+        output
+      }
+    });
+    return JSON.parse(await fs.readFile(output, 'utf8'));
+  }
+
+  test('renders the graph and scopes without submitting', async function() {
+    let result = await dryRun();
+    assert.equal(result.project, 'try');
+    assert.equal(result.scheduler, 'task-graph');
+    assert.ok(result.id);
+    assert.deepEqual(result.scopes, [
+      'assume:repo:hg.mozilla.org/try:*',
+      'scheduler:create-task-graph',
+      'scheduler:extend-task-graph:*'
+    ]);
+
+    let task = result.graph.tasks[0].task;
+    assert.equal(task.extra.comment, 'try: -b o');
+    assert.equal(task.extra.pushlog_id, '5');
+    assert.ok(task.scopes.includes('scheduler:extend-task-graph:*'));
+    assert.ok(task.scopes.includes('assume:repo:hg.mozilla.org/try:*'));
+    assert.ok(result.graph.scopes.includes('assume:repo:hg.mozilla.org/try:*'));
+  });
+
+  test('renders the whole push into the template context', async function() {
+    template = [
+      'version: 1',
+      'tasks: []',
+      'metadata:',
+      '  push: {$eval: "push"}'
+    ].join('\n');
+
+    let { push } = (await dryRun()).graph.metadata;
+    assert.equal(push.pushlog_id, '5');
+    assert.equal(push.pushdate, 1464739200);
+    assert.equal(push.base_revision, 'base789');
+    assert.deepEqual(push.files, ['a.js', 'b.js']);
+    assert.deepEqual(push.changesets, [{
+      node: 'def456',
+      author: 'Some One <some@example.com>',
+      desc: 'Bug 1 - first',
+      files: ['a.js'],
+      branch: 'default'
+    }, {
+      node: 'abc123',
+      author: 'Some One <some@example.com>',
+      desc: 'try: -b o',
+      files: ['a.js', 'b.js'],
+      branch: 'default'
+    }]);
+  });
+
+  test('prefers the base of git pushes as the base revision', async function() {
+    template = [
+      'version: 1',
+      'tasks: []',
+      'metadata:',
+      '  base: {$eval: "push.base_revision"}'
+    ].join('\n');
+
+    let pushlog = job.runtime.pushlog.forRepository();
+    job.runtime.pushlog = {
+      forRepository() {
+        return {
+          async getOne(url, id) {
+            let push = await pushlog.getOne(url, id);
+            return Object.assign(push, { base: 'before5' });
+          }
+        };
+      }
+    };
+
+    assert.equal((await dryRun()).graph.metadata.base, 'before5');
+  });
+
+  test('renders task group definitions in queue mode', async function() {
+    Object.assign(config.try.projects.try, {
+      scheduler: 'queue',
+      schedulerId: 'gecko-level-1'
+    });
+
+    let result = await dryRun();
+    assert.equal(result.scheduler, 'queue');
+    assert.deepEqual(result.scopes, ['assume:repo:hg.mozilla.org/try:*']);
+    assert.equal(result.tasks.length, 1);
+
+    let task = result.tasks[0].task;
+    assert.equal(task.taskGroupId, result.id);
+    assert.equal(task.schedulerId, 'gecko-level-1');
+    assert.deepEqual(task.dependencies, []);
+    assert.ok(!task.scopes.includes('scheduler:extend-task-graph:*'));
+    assert.ok(task.scopes.includes('assume:repo:hg.mozilla.org/try:*'));
+  });
+
+  test('retries create the same task group in queue mode', async function() {
+    config.try.projects.try.scheduler = 'queue';
+
+    let created = [];
+    let createTask = taskcluster.Queue.prototype.createTask;
+    taskcluster.Queue.prototype.createTask = async function(taskId, task) {
+      created.push({ taskId, task });
+      if (created.length === 1) throw new Error('500 Internal Server Error');
+    };
+
+    let updates = 0;
+    let graphJob = {
+      data: {
+        repo: { id: 'try-id', alias: 'try', url: `http://localhost:${PORT}/try/` },
+        pushref: { id: 5 },
+        revision_hash: 'xfoo'
+      },
+      update(fn) {
+        updates++;
+        fn();
+      }
+    };
+
+    try {
+      let error;
+      try {
+        await job.work(graphJob);
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error, 'first attempt fails');
+
+      // kue retries the job with the data saved by the first attempt...
+      graphJob.data = JSON.parse(JSON.stringify(graphJob.data));
+      await job.work(graphJob);
+    } finally {
+      taskcluster.Queue.prototype.createTask = createTask;
+    }
+
+    assert.equal(updates, 2);
+    assert.equal(created.length, 2);
+    assert.deepEqual(created[1], created[0]);
+    assert.equal(created[0].task.taskGroupId, graphJob.data.graphId);
+    assert.equal(
+      created[0].taskId, graphJob.data.slugids['decision-task']
+    );
+  });
+
+  test('submits graphs of jobs created by hand', async function() {
+    config.try.projects.try.scheduler = 'queue';
+
+    let created = [];
+    let createTask = taskcluster.Queue.prototype.createTask;
+    taskcluster.Queue.prototype.createTask = async function(taskId, task) {
+      created.push(taskId);
+    };
+
+    // Like bin/create_graph only the data is given.
+    let data = {
+      repo: { id: 'try-id', alias: 'try', url: `http://localhost:${PORT}/try/` },
+      pushref: { id: 5 },
+      revision_hash: 'xfoo',
+      ignoreRateLimits: true
+    };
+
+    try {
+      await job.work({ data });
+    } finally {
+      taskcluster.Queue.prototype.createTask = createTask;
+    }
+
+    assert.deepEqual(created, [data.slugids['decision-task']]);
+  });
+
+  test('taskGroupDefinitions() orders tasks by dependencies', function() {
+    let graph = {
+      tasks: [
+        { taskId: 'c', requires: ['b', 'external'], task: { name: 'c' } },
+        { taskId: 'a', task: { name: 'a' } },
+        { taskId: 'b', requires: ['a'], task: { dependencies: ['x'] } }
+      ]
+    };
+
+    let tasks = taskGroupDefinitions('group', graph);
+    assert.deepEqual(tasks.map(def => def.taskId), ['a', 'b', 'c']);
+    assert.deepEqual(tasks[2].task, {
+      name: 'c',
+      taskGroupId: 'group',
+      dependencies: ['b', 'external']
+    });
+    assert.deepEqual(tasks[1].task.dependencies, ['x', 'a']);
+
+    // reruns of the task-graph scheduler are retries in the queue...
+    graph.tasks[0].reruns = 3;
+    graph.tasks[1].reruns = 100;
+    graph.tasks[2].reruns = 3;
+    graph.tasks[2].task.retries = 1;
+    tasks = taskGroupDefinitions('group', graph);
+    assert.deepEqual(tasks.map(def => def.task.retries), [49, 1, 3]);
+
+    graph.tasks[1].requires = ['c'];
+    assert.throws(() => taskGroupDefinitions('group', graph), /circular/);
+  });
+
+  test('dry run reports template errors', async function() {
+    template = 'tasks:\n  - a: b\n   c: d\n';
+    let result = await dryRun();
+    assert.ok(!result.graph);
+    assert.equal(
+      result.error.url,
+      `http://localhost:${PORT}/try/raw-file/abc123/.taskcluster.yml`
+    );
+    assert.equal(result.error.revision, 'abc123');
+    assert.equal(result.error.line, 3);
+    assert.equal(result.error.column, 4);
+  });
+
+  // Submit (not dry run) the graph returning the jobs posted to treeherder.
+  async function submit(data = {}) {
+    let posted = [];
+    let postJobs = Project.prototype.postJobs;
+    Project.prototype.postJobs = async function(jobs) {
+      posted.push([this.project, jobs]);
+    };
+
+    try {
+      await job.work({
+        data: Object.assign({
+          repo: {
+            id: 'try-id', alias: 'try', url: `http://localhost:${PORT}/try/`
+          },
+          pushref: { id: 5 },
+          revision_hash: 'xfoo'
+        }, data),
+        update(fn) { fn(); }
+      });
+    } finally {
+      Project.prototype.postJobs = postJobs;
+    }
+    return posted;
+  }
+
+  test('template errors are posted to treeherder', async function() {
+    template = 'tasks:\n  - a: b\n   c: d\n';
+
+    let posted = await submit();
+
+    assert.equal(posted.length, 1);
+    let [project, [push]] = posted[0];
+    assert.equal(project, 'try');
+    assert.equal(push.revision, 'abc123');
+    assert.equal(push.revision_hash, 'xfoo');
+    assert.equal(push.job.result, 'exception');
+    assert.equal(push.job.who, 'user@example.com');
+
+    let [summary, , info] = push.job.artifacts;
+    let [error] = summary.blob.step_data.all_errors;
+    assert.ok(error.indexOf('.taskcluster.yml:3:4: bad indentation') !== -1, error);
+    assert.equal(
+      info.blob.job_details[0].url,
+      `http://localhost:${PORT}/try/raw-file/abc123/.taskcluster.yml`
+    );
+  });
+
+  test('scopes allowed by the scope policy', async function() {
+    config.try.scopePolicy = {
+      1: [
+        'queue:route:test.try.*',
+        'scheduler:extend-task-graph:*',
+        'assume:repo:hg.mozilla.org/try:*'
+      ]
+    };
+    let result = await dryRun();
+    assert.ok(!result.error);
+    assert.ok(result.graph);
+  });
+
+  test('project scopes are checked against the scope policy', async function() {
+    config.try.scopePolicy = {
+      1: ['queue:route:test.try.*', 'scheduler:extend-task-graph:*']
+    };
+    let result = await dryRun();
+    assert.ok(!result.graph);
+    assert.equal(result.error.type, 'scopes');
+    assert.ok(result.error.message.indexOf(
+      'level 1 tasks may not request assume:repo:hg.mozilla.org/try:*'
+    ) === 0, result.error.message);
+  });
+
+  test('scope policy violations are posted to treeherder', async function() {
+    config.try.scopePolicy = { 1: ['queue:route:other.*'] };
+
+    let result = await dryRun();
+    assert.ok(!result.graph);
+    assert.equal(result.error.type, 'scopes');
+    assert.ok(result.error.message.indexOf(
+      'level 1 tasks may not request queue:route:test.try.abc123 ' +
+      '(Make Decision based on flags'
+    ) === 0, result.error.message);
+
+    let posted = await submit();
+    assert.equal(posted.length, 1);
+    let [project, [push]] = posted[0];
+    assert.equal(project, 'try');
+    assert.equal(push.job.result, 'exception');
+    assert.equal(push.job.name, 'Decision Task (scope error)');
+
+    let [error] = push.job.artifacts[0].blob.step_data.all_errors;
+    assert.ok(error.indexOf('not allowed by the scope policy') !== -1, error);
+    assert.ok(error.indexOf('queue:route:test.try.abc123') !== -1, error);
+  });
+
+  test('graphs over the rate limit are delayed', async function() {
+    template = 'tasks:\n  - a: b\n   c: d\n';
+    config.try.projects.try.rateLimit = { perMinute: 1 };
+
+    let posted = await submit();
+    assert.equal(posted.length, 1);
+    assert.equal(jobs.scheduled.length, 0);
+
+    posted = await submit();
+    assert.equal(posted.length, 0);
+    assert.equal(jobs.scheduled.length, 1);
+
+    let [delayed] = jobs.scheduled;
+    assert.equal(delayed.topic, 'taskcluster-graph');
+    assert.ok(delayed.delay > 0 && delayed.delay <= 60 * 1000, delayed.delay);
+    assert.equal(delayed.body.delayed, true);
+    assert.equal(delayed.body.pushref.id, 5);
+    assert.deepEqual(await rateLimit.queueDepth(jobs), { try: 1 });
+
+    // Once the bucket has refilled the delayed job runs...
+    delete jobs.client.keys['test:rate-limit:project/try'];
+    posted = await submit(delayed.body);
+    assert.equal(posted.length, 1);
+    assert.deepEqual(await rateLimit.queueDepth(jobs), {});
+
+    // Dry runs are never limited...
+    let result = await dryRun();
+    assert.ok(result.error);
+  });
+
+  test('pushes are coalesced into newer pushes', async function() {
+    await recordPush(jobs, 'try-id', 7);
+    config.try.projects.try.coalesce = { window: '1 minute' };
+
+    let posted = await submit({ coalesce: true });
+    assert.equal(posted.length, 1);
+    let [project, [push]] = posted[0];
+    assert.equal(project, 'try');
+    assert.equal(push.revision, 'abc123');
+    assert.equal(push.revision_hash, 'xfoo');
+    assert.equal(push.job.result, 'coalesced');
+    assert.equal(push.job.name, 'Decision Task (coalesced)');
+
+    let [info] = push.job.artifacts;
+    assert.deepEqual(info.blob.job_details, [{
+      content_type: 'link',
+      url: `http://localhost:${PORT}/try/rev/rev7`,
+      value: 'rev7',
+      title: 'Coalesced into'
+    }]);
+
+    // Without reporting nothing is posted...
+    config.try.projects.try.coalesce.report = false;
+    posted = await submit({ coalesce: true });
+    assert.equal(posted.length, 0);
+  });
+
+  test('coalesced jobs which were rate limited are no longer waiting', async function() {
+    await recordPush(jobs, 'try-id', 7);
+    config.try.projects.try.coalesce = { window: '1 minute' };
+    await rateLimit.changeDepth(jobs, 'try', 1);
+
+    await submit({ coalesce: true, delayed: true });
+    assert.deepEqual(await rateLimit.queueDepth(jobs), {});
+  });
+
+  test('the newest push is not coalesced', async function() {
+    await recordPush(jobs, 'try-id', 5);
+    template = 'tasks:\n  - a: b\n   c: d\n';
+
+    let posted = await submit({ coalesce: true });
+    assert.equal(posted.length, 1);
+    let [, [push]] = posted[0];
+    assert.equal(push.job.result, 'exception');
+  });
+});
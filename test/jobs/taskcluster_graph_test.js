@@ -1,11 +1,10 @@
 import assert from 'assert';
-import slugid from 'slugid';
 import eventToPromise from 'event-to-promise';
 import waitFor from '../wait_for';
 import testSetup from '../monitor';
 import taskcluster from 'taskcluster-client';
 import fs from 'mz/fs';
-import yaml from 'js-yaml';
+import Treeherder from '../treeherder';
 
 // XXX: This value comes from configs we should fetch it from there somehow.
 const GRAPH_PATH = 'testing/taskcluster/tasks/decision/try.yml'
@@ -13,18 +12,6 @@ const GRAPH_PATH = 'testing/taskcluster/tasks/decision/try.yml'
 suite('jobs/taskcluster_graph', function() {
   let monitorSetup = testSetup('workers.js');
 
-  async function createErrorYaml(route) {
-    let content = yaml.safeLoad(
-      await fs.readFile(__dirname + '/../fixtures/try/error.yml')
-    );
-
-    content.scopes = content.scopes || [];
-    content.scopes.push('queue:route:' + route);
-    content.tasks[0].task.routes.push(route);
-
-    return yaml.safeDump(content);
-  }
-
   test('update after a push', async function() {
     let graph =
       await fs.readFile(__dirname + '/../fixtures/try/decision.yml', 'utf8');
@@ -109,32 +96,24 @@ suite('jobs/taskcluster_graph', function() {
   test('error creating task graph', async function() {
     // Invalid yaml...
     let graph = ':\n:';
-    let route = `test.try.${slugid.nice()}`
 
-    await monitorSetup.hg.write('error.yml', await createErrorYaml(route));
     await monitorSetup.hg.write(GRAPH_PATH, graph);
     await monitorSetup.hg.write('README', 'bla')
     await monitorSetup.hg.commit('try: desc +tc');
 
-    let schedulerEvents = new taskcluster.SchedulerEvents();
-    let queueEvents = new taskcluster.QueueEvents();
-
-    // Setup the listeners prior to the push to ensure we don't have any races.
-    await this.pulse.connect();
-    this.pulse.bind(queueEvents.taskPending('route.' + route));
-
     // Actually push our changes...
     await monitorSetup.hg.push();
 
-    await this.pulse.resume();
-    // Consume the queue now that the event has been sent...
-    let [ message ] = await Promise.all([
-      eventToPromise(this.pulse, 'message'),
-      this.pulse.resume()
-    ]);
+    let treeherder = new Treeherder(this.config.treeherder.apiUrl);
+    let job = await waitFor({ sleep: 1000 }, async function() {
+      let res = await this.treeherder.getResultset();
+      let resultset = res.results[0];
+      if (!resultset) return false;
 
-    let queue = new taskcluster.Queue();
-    let task = await queue.task(message.payload.status.taskId);
-    assert.ok(task.metadata.name.indexOf('Error') !== -1, 'is error task');
+      let jobs = await treeherder.getJobs(resultset.id);
+      return jobs.find((job) => job.result === 'exception');
+    }.bind(this));
+
+    assert.ok(job.job_type_name.indexOf('template error') !== -1, 'is error job');
   });
 });
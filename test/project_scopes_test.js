@@ -12,6 +12,22 @@ suite('project scopes', function() {
       },
       withUrl: {
         url: 'custom-url {{path}}'
+      },
+      withQueue: {
+        scheduler: 'queue',
+        schedulerId: 'gecko-level-1',
+        retrigger: 'upstream'
+      },
+      withSkip: {
+        contains: 'try: (x)',
+        skip: {
+          messages: { exclude: 'CLOSED TREE' },
+          files: { exclude: '^docs/' }
+        }
+      },
+      withPaths: {
+        paths: ['browser/**'],
+        ignorePaths: ['**/*.md']
       }
     }
   };
@@ -28,6 +44,146 @@ suite('project scopes', function() {
     );
   });
 
+  test('#scheduler', function() {
+    assert.equal(subject.scheduler(config, 'defaults'), 'task-graph');
+    assert.equal(subject.scheduler(config, 'withQueue'), 'queue');
+    assert.equal(subject.schedulerId(config, 'defaults'), undefined);
+    assert.equal(subject.schedulerId(config, 'withQueue'), 'gecko-level-1');
+  });
+
+  test('#retrigger', function() {
+    assert.equal(subject.retrigger(config, 'defaults'), 'dependents');
+    assert.equal(subject.retrigger(config, 'withQueue'), 'upstream');
+  });
+
+  test('#skipRules', function() {
+    assert.deepEqual(subject.skipRules(config, 'defaults'), {
+      messages: {},
+      files: {},
+      authors: {}
+    });
+
+    assert.deepEqual(subject.skipRules(config, 'withSkip'), {
+      messages: { exclude: 'CLOSED TREE', include: 'try: \\(x\\)' },
+      files: { exclude: '^docs/' },
+      authors: {}
+    });
+
+    let withDefaults = Object.assign({ skip: { authors: { deny: 'bot' } } }, config);
+    assert.deepEqual(subject.skipRules(withDefaults, 'defaults'), {
+      messages: {},
+      files: {},
+      authors: { deny: 'bot' }
+    });
+  });
+
+  test('#paths', function() {
+    assert.deepEqual(subject.paths(config, 'defaults'), {
+      paths: undefined,
+      ignorePaths: undefined
+    });
+
+    assert.deepEqual(subject.paths(config, 'withPaths'), {
+      paths: ['browser/**'],
+      ignorePaths: ['**/*.md']
+    });
+  });
+
+  test('#coalesce', function() {
+    assert.equal(subject.coalesce(config, 'defaults'), null);
+
+    let withCoalesce = Object.assign({}, config, {
+      projects: {
+        busy: { coalesce: { window: '1 minute 30 seconds' } },
+        silent: { coalesce: { window: '10s', report: false } }
+      }
+    });
+    assert.deepEqual(subject.coalesce(withCoalesce, 'busy'), {
+      window: 90 * 1000,
+      report: true
+    });
+    assert.deepEqual(subject.coalesce(withCoalesce, 'silent'), {
+      window: 10 * 1000,
+      report: false
+    });
+  });
+
+  test('#coalesceWindow', function() {
+    assert.equal(subject.coalesceWindow('2 minutes'), 120 * 1000);
+    assert.throws(
+      () => subject.coalesceWindow('0 seconds', 'try.projects.x.coalesce.window'),
+      /^Error: try\.projects\.x\.coalesce\.window: Window "0 seconds" must be a positive time/
+    );
+    assert.throws(() => subject.coalesceWindow('-1 minute'), /must be a positive time/);
+    assert.throws(() => subject.coalesceWindow('soon'), /^Error: coalesce\.window: Invalid time/);
+  });
+
+  test('#rateLimits', function() {
+    assert.deepEqual(subject.rateLimits(config, 'defaults'), []);
+
+    let withLimits = Object.assign({
+      rateLimit: { perMinute: 30, burst: 10 }
+    }, config);
+    withLimits.projects = { limited: { rateLimit: { perMinute: 2 } } };
+    assert.deepEqual(subject.rateLimits(withLimits, 'limited'), [
+      { name: 'project/limited', limit: { perMinute: 2 } },
+      { name: 'global', limit: { perMinute: 30, burst: 10 } }
+    ]);
+  });
+
+  test('#scopeSatisfies', function() {
+    assert.ok(subject.scopeSatisfies('queue:route:a', 'queue:route:a'));
+    assert.ok(subject.scopeSatisfies('queue:*', 'queue:route:a'));
+    assert.ok(subject.scopeSatisfies('queue:*', 'queue:*'));
+    assert.ok(subject.scopeSatisfies('*', 'assume:repo:x'));
+    assert.ok(subject.scopeSatisfies('assume:repo:*', 'assume:repo:x:*'));
+    assert.ok(!subject.scopeSatisfies('assume:repo:*', 'assume:*'));
+    assert.ok(!subject.scopeSatisfies('queue:route:a', 'queue:route:ab'));
+    assert.ok(!subject.scopeSatisfies('queue:route:a', 'queue:route:*'));
+  });
+
+  test('#scopePolicy', function() {
+    assert.equal(subject.scopePolicy(config, 'defaults'), null);
+
+    let withPolicy = Object.assign({
+      scopePolicy: { 1: ['queue:*'] }
+    }, config);
+    assert.deepEqual(subject.scopePolicy(withPolicy, 'defaults'), ['queue:*']);
+
+    withPolicy.projects = { high: { level: 3 } };
+    assert.deepEqual(subject.scopePolicy(withPolicy, 'high'), []);
+  });
+
+  test('#scopeViolations', function() {
+    let graph = {
+      tasks: [
+        {
+          taskId: 'one',
+          task: {
+            metadata: { name: 'decision' },
+            scopes: [
+              'queue:route:x',
+              'assume:repo:hg.mozilla.org/try:level-1',
+              'assume:repo:hg.mozilla.org/mozilla-central:level-3'
+            ]
+          }
+        },
+        { taskId: 'two', task: {} }
+      ]
+    };
+
+    assert.deepEqual(subject.scopeViolations(config, 'defaults', graph), []);
+
+    let withPolicy = Object.assign({
+      scopePolicy: { 1: ['queue:*', 'assume:repo:hg.mozilla.org/try:*'] }
+    }, config);
+    assert.deepEqual(subject.scopeViolations(withPolicy, 'defaults', graph), [{
+      taskId: 'one',
+      name: 'decision',
+      scope: 'assume:repo:hg.mozilla.org/mozilla-central:level-3'
+    }]);
+  });
+
   test('unknown project', function() {
     try {
       subject.scopes(config, 'thefoo!');
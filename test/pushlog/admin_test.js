@@ -0,0 +1,167 @@
+import assert from 'assert';
+import fakeCollection from '../fake_collection';
+import fakeJobs from '../fake_jobs';
+import { changeDepth } from '../../src/jobs/rate_limit';
+import { claim } from '../../src/jobs/idempotency';
+import { createServer } from '../../src/pushlog/admin';
+import Repositories from '../../src/collections/repositories';
+import Gaps from '../../src/collections/gaps';
+
+suite('pushlog/admin', function() {
+  const TOKEN = 'sekret';
+  const URL = 'https://hg.mozilla.org/try/';
+
+  let server, monitor, repos, gaps, jobs;
+  setup(function() {
+    jobs = fakeJobs();
+    repos = new Repositories(fakeCollection());
+    gaps = new Gaps(fakeCollection());
+    monitor = {
+      list: {},
+      updateRepository(repo) { this.list[repo.id] = repo; },
+      removeRepository(id) { delete this.list[id]; }
+    };
+    server = createServer(
+      monitor,
+      { repositories: repos, gaps, jobs },
+      { port: 0, accessToken: TOKEN }
+    );
+  });
+
+  function inject(method, url, payload, token = TOKEN) {
+    return new Promise((accept) => {
+      server.inject({
+        method, url, payload,
+        headers: { authorization: `Bearer ${token}` }
+      }, accept);
+    });
+  }
+
+  test('requires access token', async function() {
+    let res = await inject('GET', '/repositories', undefined, 'wrong');
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('create, get and list', async function() {
+    let res = await inject('POST', '/repositories', { alias: 'try', url: URL });
+    assert.equal(res.statusCode, 201);
+    let id = Repositories.hashUrl(URL);
+    assert.equal(res.result.id, id);
+    assert.equal(res.result.lastPushId, 0);
+    assert.ok(monitor.list[id]);
+
+    res = await inject('GET', `/repositories/${id}`);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.result.alias, 'try');
+
+    res = await inject('GET', '/repositories');
+    assert.equal(res.result.repositories.length, 1);
+
+    res = await inject('POST', '/repositories', { alias: 'try', url: URL });
+    assert.equal(res.statusCode, 409);
+  });
+
+  test('create invalid', async function() {
+    let res = await inject('POST', '/repositories', { url: URL });
+    assert.equal(res.statusCode, 400);
+  });
+
+  test('update', async function() {
+    await inject('POST', '/repositories', { alias: 'try', url: URL });
+    let id = Repositories.hashUrl(URL);
+
+    let res = await inject('PATCH', `/repositories/${id}`, {
+      alias: 'new-try',
+      lastPushId: 5,
+      enabled: false
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.result.alias, 'new-try');
+    assert.equal(res.result.lastPushId, 5);
+    assert.equal(res.result.enabled, false);
+    assert.equal(monitor.list[id].alias, 'new-try');
+
+    res = await inject('PATCH', `/repositories/${id}`, { lastPushId: -1 });
+    assert.equal(res.statusCode, 400);
+
+    res = await inject('PATCH', `/repositories/${id}`, { outbox: [] });
+    assert.equal(res.statusCode, 400);
+
+    // Moving lastPushId back releases the keys of the newer pushes...
+    await claim(jobs, `taskcluster-graph/${id}/5`);
+    await claim(jobs, `taskcluster-graph/${id}/4`);
+    res = await inject('PATCH', `/repositories/${id}`, { lastPushId: 4 });
+    assert.equal(res.result.lastPushId, 4);
+    assert.deepEqual(Object.keys(jobs.client.keys), [
+      `test:idempotency:taskcluster-graph/${id}/4`
+    ]);
+
+    // Fields which are not part of the patch are left as they are...
+    await repos.recordPush(id, 4, { lastPushId: 6 }, [{ id: 'x', topic: 't', body: {} }]);
+    res = await inject('PATCH', `/repositories/${id}`, { enabled: true });
+    assert.equal(res.result.lastPushId, 6);
+    assert.equal(res.result.outbox.length, 1);
+
+    // Changing the url changes the id...
+    let newUrl = 'https://hg.mozilla.org/try-new/';
+    res = await inject('PATCH', `/repositories/${id}`, { url: newUrl });
+    assert.equal(res.result.id, Repositories.hashUrl(newUrl));
+    assert.ok(!monitor.list[id]);
+    assert.ok(monitor.list[Repositories.hashUrl(newUrl)]);
+  });
+
+  test('delete', async function() {
+    await inject('POST', '/repositories', { alias: 'try', url: URL });
+    let id = Repositories.hashUrl(URL);
+
+    let res = await inject('DELETE', `/repositories/${id}`);
+    assert.equal(res.statusCode, 204);
+    assert.ok(!monitor.list[id]);
+
+    res = await inject('DELETE', `/repositories/${id}`);
+    assert.equal(res.statusCode, 404);
+
+    res = await inject('GET', `/repositories/${id}`);
+    assert.equal(res.statusCode, 404);
+  });
+
+  test('list gaps and mark backfilled', async function() {
+    let gap = {
+      repositoryId: Repositories.hashUrl(URL),
+      alias: 'try',
+      url: URL,
+      start: 1,
+      end: 10,
+      detected: new Date()
+    };
+    await gaps.createIfNotExists(gap);
+    let id = Gaps.createId(gap.repositoryId, 1, 10);
+
+    let res = await inject('GET', '/gaps?backfilled=false');
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.result.gaps.map(gap => gap.id), [id]);
+
+    res = await inject('POST', `/gaps/${id}/backfilled`);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.result.backfilled, true);
+
+    res = await inject('GET', '/gaps?backfilled=false');
+    assert.deepEqual(res.result.gaps, []);
+
+    res = await inject('GET', '/gaps');
+    assert.equal(res.result.gaps.length, 1);
+
+    res = await inject('POST', '/gaps/nope/backfilled');
+    assert.equal(res.statusCode, 404);
+  });
+
+  test('graph queue depth', async function() {
+    let res = await inject('GET', '/graph-queue');
+    assert.deepEqual(res.result, { projects: {} });
+
+    await changeDepth(jobs, 'try', 2);
+    res = await inject('GET', '/graph-queue');
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.result, { projects: { try: 2 } });
+  });
+});
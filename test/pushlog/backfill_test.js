@@ -0,0 +1,107 @@
+import assert from 'assert';
+import backfill from '../../src/pushlog/backfill';
+import fakeJobs from '../fake_jobs';
+import { claim } from '../../src/jobs/idempotency';
+
+suite('pushlog/backfill', function() {
+  let runtime, scheduled, iterated;
+  setup(function() {
+    scheduled = [];
+    iterated = null;
+
+    // Chainable stand in for kue jobs...
+    function createJob(topic, body) {
+      let job = {
+        attempts() { return job; },
+        searchKeys() { return job; },
+        backoff() { return job; },
+        save(fn) {
+          assert.equal(body.coalesce, false);
+          assert.ok(!body.repo.outbox);
+          scheduled.push({ topic, id: body.pushref.id, skipGraph: body.skipGraph });
+          fn();
+        }
+      };
+      return job;
+    }
+
+    let jobs = fakeJobs();
+    jobs.create = createJob;
+
+    runtime = {
+      jobs,
+      pushlog: {
+        forRepository() {
+          return {
+            async iterate(url, start, end, fn) {
+              iterated = [start, end];
+              for (let id = start + 1; id <= end; id++) {
+                await fn({ id, changesets: [`cset${id}`] });
+              }
+            }
+          };
+        }
+      }
+    };
+  });
+
+  let repo = {
+    id: 'try-id',
+    alias: 'try',
+    url: 'https://hg.mozilla.org/try/',
+    outbox: [{ id: 'pending', topic: 'publish-push', body: {} }]
+  };
+
+  test('schedules every push in range', async function() {
+    let ids = await backfill(runtime, repo, {
+      start: 3, end: 4, publish: true, resultset: true, graph: false
+    });
+
+    assert.deepEqual(ids, [3, 4]);
+    assert.deepEqual(iterated, [2, 4]);
+    assert.deepEqual(scheduled, [
+      { topic: 'publish-push', id: 3, skipGraph: true },
+      { topic: 'treeherder-resultset', id: 3, skipGraph: true },
+      { topic: 'publish-push', id: 4, skipGraph: true },
+      { topic: 'treeherder-resultset', id: 4, skipGraph: true }
+    ]);
+  });
+
+  test('releases the idempotency keys of replayed pushes', async function() {
+    await claim(runtime.jobs, 'taskcluster-graph/try-id/3');
+    await claim(runtime.jobs, 'taskcluster-graph/try-id/9');
+    await backfill(runtime, repo, {
+      start: 3, end: 4, publish: false, resultset: true, graph: true
+    });
+    assert.deepEqual(Object.keys(runtime.jobs.client.keys), [
+      'test:idempotency:taskcluster-graph/try-id/9'
+    ]);
+  });
+
+  test('only resultsets', async function() {
+    await backfill(runtime, repo, {
+      start: 1, end: 1, publish: false, resultset: true, graph: true
+    });
+    assert.deepEqual(scheduled, [
+      { topic: 'treeherder-resultset', id: 1, skipGraph: false }
+    ]);
+  });
+
+  test('dry run', async function() {
+    let ids = await backfill(runtime, repo, {
+      start: 1, end: 2, publish: true, resultset: true, dryRun: true
+    });
+    assert.deepEqual(ids, [1, 2]);
+    assert.deepEqual(scheduled, []);
+  });
+
+  test('invalid range', async function() {
+    try {
+      await backfill(runtime, repo, { start: 5, end: 1 });
+    } catch (e) {
+      assert.ok(e.message.indexOf('Start') !== -1);
+      return;
+    }
+    throw new Error('Expected an error...');
+  });
+});
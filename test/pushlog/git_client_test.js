@@ -0,0 +1,221 @@
+import Client from '../../src/pushlog/git_client';
+import PushlogBackends from '../../src/pushlog/backends';
+import assert from 'assert';
+
+suite('pushlog/git_client', function() {
+
+  function pushEvent(id, ref, shas) {
+    return {
+      type: 'PushEvent',
+      actor: { login: 'pusher' },
+      created_at: '2016-06-01T00:00:00Z',
+      payload: {
+        push_id: id,
+        ref: ref,
+        before: `before${id}`,
+        head: shas[shas.length - 1],
+        commits: shas.map((sha) => {
+          return {
+            sha,
+            message: `commit ${sha}`,
+            author: { name: 'Author', email: 'author@example.com' }
+          };
+        })
+      }
+    };
+  }
+
+  let client;
+  setup(function() {
+    client = new Client({ branch: 'master' });
+    // Events are returned newest first...
+    client.request = async function() {
+      return [
+        pushEvent(30, 'refs/heads/master', ['e']),
+        { type: 'IssuesEvent', payload: {} },
+        pushEvent(20, 'refs/heads/other', ['d']),
+        pushEvent(15, 'refs/heads/master', ['b', 'c']),
+        pushEvent(10, 'refs/heads/master', ['a'])
+      ];
+    };
+  });
+
+  test('apiUrl()', function() {
+    assert.equal(
+      client.apiUrl('https://github.com/mozilla/gecko-dev/'),
+      'https://api.github.com/repos/mozilla/gecko-dev'
+    );
+
+    assert.equal(
+      client.apiUrl('https://git.example.com/mozilla/gecko-dev.git'),
+      'https://git.example.com/api/v3/repos/mozilla/gecko-dev'
+    );
+  });
+
+  test('getLatest()', async function() {
+    let res = await client.getLatest('https://github.com/a/b');
+    assert.equal(res.lastPushId, 30);
+    assert.deepEqual(res.range, { start: 10, end: 30 });
+    assert.deepEqual(res.pushes.map(push => push.id), [10, 15, 30]);
+    assert.deepEqual(res.pushes[1].changesets, ['b', 'c']);
+    assert.equal(res.pushes[1].user, 'pusher');
+    assert.equal(res.pushes[1].date, 1464739200);
+  });
+
+  test('get()', async function() {
+    let res = await client.get('https://github.com/a/b', 10, 15);
+    assert.equal(res.lastPushId, 30);
+    assert.deepEqual(res.pushes.map(push => push.id), [15]);
+  });
+
+  test('getOne()', async function() {
+    let push = await client.getOne('https://github.com/a/b', 15, false);
+    assert.deepEqual(push.changesets, ['b', 'c']);
+    assert.equal(push.base, 'before15');
+
+    let error;
+    try {
+      await client.getOne('https://github.com/a/b', 5, false);
+    } catch (e) {
+      error = e;
+    }
+    assert.ok(error, 'pushes outside the events are an error');
+    assert.equal(
+      error.message,
+      'Push 5 of https://github.com/a/b is not within the most recent 300 ' +
+      'repository events'
+    );
+  });
+
+  test('iterate()', async function() {
+    let pushed = [];
+    await client.iterate('https://github.com/a/b', 0, 30, async function(push) {
+      pushed.push(push.id);
+    });
+    assert.deepEqual(pushed, [10, 15, 30]);
+  });
+
+  test('truncate()', async function() {
+    let status = await client.getLatest('https://github.com/a/b');
+    assert.equal(client.truncate(status, 0, 5), 0);
+    assert.equal(client.truncate(status, 0, 2), 10);
+    assert.equal(client.truncate(status, 15, 1), 15);
+  });
+
+  test('getLatest() only fetches the first page', async function() {
+    let pages = [];
+    client.request = async function(url, query) {
+      pages.push(query.page);
+      let events = [];
+      for (let i = 0; i < 100; i++) {
+        let id = 1000 - (query.page * 100) - i;
+        events.push(pushEvent(id, 'refs/heads/master', [`c${id}`]));
+      }
+      return events;
+    };
+
+    let status = await client.getLatest('https://github.com/a/b');
+    assert.deepEqual(pages, [1]);
+    assert.equal(status.lastPushId, 900);
+    assert.ok(!status.complete);
+
+    // Pushes older then the first page may be missing so only the fetched
+    // ones are processed.
+    assert.equal(client.truncate(status, 0, 500), 800);
+    assert.equal(client.truncate(status, 850, 500), 850);
+
+    // Given the last known push paging stops once it is reached...
+    pages = [];
+    status = await client.getLatest('https://github.com/a/b', 750);
+    assert.deepEqual(pages, [1, 2]);
+    assert.ok(status.complete);
+    assert.equal(status.lastPushId, 900);
+    assert.equal(client.truncate(status, 750, 500), 750);
+
+    // ...but not when it is older then all available events.
+    pages = [];
+    status = await client.getLatest('https://github.com/a/b', 10);
+    assert.deepEqual(pages, [1, 2, 3]);
+    assert.ok(!status.complete);
+    assert.equal(client.truncate(status, 10, 500), 600);
+  });
+
+  test('get() of larger pushes uses the compare api', async function() {
+    let event = pushEvent(50, 'refs/heads/master', ['b', 'c']);
+    Object.assign(event.payload, { before: 'a', head: 'd', size: 3 });
+
+    let requested = [];
+    client.request = async function(url) {
+      requested.push(url);
+      if (/\/events$/.test(url)) return [event];
+      if (/\/compare\//.test(url)) {
+        return {
+          commits: ['b', 'c', 'd'].map((sha) => {
+            return {
+              sha,
+              commit: {
+                message: `commit ${sha}`,
+                author: { name: 'Author', email: 'author@example.com' }
+              }
+            };
+          })
+        };
+      }
+      return { files: [], parents: [] };
+    };
+
+    let push = await client.getOne('https://github.com/a/b', 50, false);
+    assert.deepEqual(push.changesets, ['b', 'c', 'd']);
+    assert.equal(push.head, 'd');
+
+    push = await client.getOne('https://github.com/a/b', 50);
+    assert.deepEqual(push.changesets.map(cset => cset.node), ['b', 'c', 'd']);
+    assert.ok(
+      requested.indexOf('https://api.github.com/repos/a/b/compare/a...d') !== -1
+    );
+  });
+
+  test('formatPush() of a new branch has no base', function() {
+    let event = pushEvent(40, 'refs/heads/master', ['f']);
+    event.payload.before = '0000000000000000000000000000000000000000';
+    assert.equal(client.formatPush(event).base, null);
+  });
+
+  test('formatChangeset()', function() {
+    let commit = {
+      sha: 'b',
+      message: 'commit b',
+      author: { name: 'Author', email: 'author@example.com' }
+    };
+
+    assert.deepEqual(client.formatChangeset(commit), {
+      node: 'b',
+      author: 'Author <author@example.com>',
+      branch: 'master',
+      desc: 'commit b',
+      files: [],
+      parents: [],
+      tags: []
+    });
+
+    let details = {
+      files: [{ filename: 'a.js' }],
+      parents: [{ sha: 'a' }]
+    };
+    let changeset = client.formatChangeset(commit, details);
+    assert.deepEqual(changeset.files, ['a.js']);
+    assert.deepEqual(changeset.parents, ['a']);
+  });
+
+  test('backends select client by type', function() {
+    let backends = new PushlogBackends();
+    assert.equal(backends.forRepository({ url: 'x' }), backends.hg);
+
+    let git = backends.forRepository({ type: 'git', branch: 'dev' });
+    assert.ok(git instanceof Client);
+    assert.equal(git.branch, 'dev');
+    assert.equal(backends.forRepository({ type: 'git', branch: 'dev' }), git);
+
+    assert.throws(() => backends.forRepository({ type: 'svn' }), /svn/);
+  });
+});
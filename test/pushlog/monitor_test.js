@@ -0,0 +1,369 @@
+import assert from 'assert';
+import fakeJobs from '../fake_jobs';
+import Monitor from '../../src/pushlog/monitor';
+
+suite('pushlog/monitor', function() {
+  let monitor, checks, doc, jobs;
+  setup(function() {
+    checks = [];
+    doc = {
+      id: 'try',
+      alias: 'try',
+      url: 'https://hg.mozilla.org/try/',
+      lastPushId: 0
+    };
+
+    // In memory stand ins for the repositories collection and kue...
+    let repos = {
+      async findById() {
+        return Object.assign({}, doc);
+      },
+      async recordPush(id, previousPushId, update, messages) {
+        assert.equal(doc.lastPushId, previousPushId);
+        Object.assign(doc, update);
+        doc.outbox = (doc.outbox || []).concat(messages);
+        return doc;
+      },
+      async removeFromOutbox(id, entryId) {
+        doc.outbox = doc.outbox.filter(entry => entry.id !== entryId);
+      }
+    };
+
+    jobs = fakeJobs();
+    monitor = new Monitor(jobs, repos);
+    monitor.list = { try: Object.assign({}, doc) };
+  });
+
+  function fakePushlog(lastPushId) {
+    return {
+      forRepository() {
+        return {
+          async getLatest() { return { lastPushId }; },
+          truncate(status, start, max) {
+            return Math.max(start, status.lastPushId - max);
+          },
+          async iterate(url, start, end, fn) {
+            for (let id = start + 1; id <= end; id++) {
+              await fn({ id, changesets: [`cset${id}`] });
+            }
+          }
+        };
+      }
+    };
+  }
+
+  test('runCheck() drops duplicate jobs', async function() {
+    monitor.pushlog = fakePushlog(1);
+    await monitor.runCheck(monitor.list.try, { lastPushId: 0 });
+
+    // Simulate seeing the same push again (database mutated by hand)...
+    doc.lastPushId = 0;
+    await monitor.runCheck(monitor.list.try, { lastPushId: 0 });
+    assert.equal(doc.lastPushId, 1);
+    assert.deepEqual(scheduled(), [
+      ['publish-push', 1],
+      ['treeherder-resultset', 1]
+    ]);
+  });
+
+  function scheduled() {
+    return jobs.scheduled.map(job => [job.topic, job.body.pushref.id]);
+  }
+
+  test('runCheck() schedules jobs through the outbox', async function() {
+    monitor.pushlog = fakePushlog(2);
+    let lock = { lastPushId: 0 };
+    await monitor.runCheck(monitor.list.try, lock);
+
+    assert.equal(lock.lastPushId, 2);
+    assert.equal(doc.lastPushId, 2);
+    assert.equal(doc.lastChangeset, 'cset2');
+    assert.deepEqual(doc.outbox, []);
+    assert.deepEqual(scheduled(), [
+      ['publish-push', 1],
+      ['treeherder-resultset', 1],
+      ['publish-push', 2],
+      ['treeherder-resultset', 2]
+    ]);
+  });
+
+  test('runCheck() keeps undispatched jobs in the outbox', async function() {
+    monitor.pushlog = fakePushlog(1);
+    let lock = { lastPushId: 0 };
+
+    jobs.saveError = new Error('kue is down');
+    try {
+      await monitor.runCheck(monitor.list.try, lock);
+    } catch (e) {
+      assert.ok(e.message.indexOf('kue') !== -1);
+    }
+
+    // The push was recorded but nothing has been sent...
+    assert.equal(doc.lastPushId, 1);
+    assert.equal(doc.outbox.length, 2);
+    assert.deepEqual(scheduled(), []);
+
+    // The next check drains the outbox without fetching the push again.
+    jobs.saveError = null;
+    await monitor.runCheck(monitor.list.try, lock);
+    assert.deepEqual(doc.outbox, []);
+    assert.deepEqual(scheduled(), [
+      ['publish-push', 1],
+      ['treeherder-resultset', 1]
+    ]);
+  });
+
+  test('check() skips disabled repositories', async function() {
+    monitor.runCheck = async function(repo) {
+      checks.push(repo.id);
+    };
+    monitor.list.paused = {
+      id: 'paused', url: 'https://hg.mozilla.org/paused/', enabled: false
+    };
+    await monitor.check();
+    assert.deepEqual(checks, ['try']);
+  });
+
+  test('check() honours pollInterval', async function() {
+    monitor.runCheck = async function(repo) {
+      checks.push(repo.id);
+    };
+    monitor.list.try.pollInterval = 60000;
+    monitor.locks.try = {
+      active: false,
+      lastCheck: Date.now() - 1000,
+      lastPushId: 0
+    };
+    await monitor.check();
+    assert.deepEqual(checks, []);
+
+    monitor.locks.try.lastCheck = Date.now() - 60000;
+    await monitor.check();
+    assert.deepEqual(checks, ['try']);
+  });
+
+  test('runCheck() honours maxPushFetches', async function() {
+    let iterated;
+    monitor.pushlog = {
+      forRepository() {
+        return {
+          async getLatest() { return { lastPushId: 50 }; },
+          truncate(status, start, max) { return status.lastPushId - max; },
+          async iterate(url, start, end) { iterated = [start, end]; }
+        };
+      }
+    };
+    monitor.list.try.maxPushFetches = 5;
+    await monitor.runCheck(monitor.list.try, { lastPushId: 0 });
+    assert.deepEqual(iterated, [45, 50]);
+  });
+
+  test('runCheck() records gaps', async function() {
+    let recorded = [];
+    monitor.gaps = {
+      async createIfNotExists(doc) { recorded.push(doc); }
+    };
+    monitor.pushlog = {
+      forRepository() {
+        return {
+          async getLatest() { return { lastPushId: 50 }; },
+          truncate(status, start, max) { return status.lastPushId - max; },
+          async iterate() {}
+        };
+      }
+    };
+    monitor.maxPushFetches = 20;
+    await monitor.runCheck(monitor.list.try, { lastPushId: 5 });
+
+    assert.equal(recorded.length, 1);
+    assert.equal(recorded[0].repositoryId, 'try');
+    assert.equal(recorded[0].start, 6);
+    assert.equal(recorded[0].end, 30);
+  });
+
+  test('runCheck() records no gap on the first check', async function() {
+    let recorded = [];
+    let iterated;
+    monitor.gaps = {
+      async createIfNotExists(doc) { recorded.push(doc); }
+    };
+    monitor.pushlog = {
+      forRepository() {
+        return {
+          async getLatest() { return { lastPushId: 500000 }; },
+          truncate(status, start, max) { return status.lastPushId - max; },
+          async iterate(url, start, end) { iterated = [start, end]; }
+        };
+      }
+    };
+    monitor.maxPushFetches = 20;
+    await monitor.runCheck(monitor.list.try, { lastPushId: 0 });
+
+    assert.deepEqual(recorded, []);
+    assert.deepEqual(iterated, [499980, 500000]);
+  });
+
+  suite('leases', function() {
+    let held;
+    setup(function() {
+      held = true;
+      monitor.leases = {
+        async acquire(id, owner, duration) {
+          assert.equal(id, 'repository/try');
+          assert.equal(owner, monitor.monitorId);
+          return held;
+        }
+      };
+      monitor.repos = {
+        async findById() { return { id: 'try', lastPushId: 7 }; }
+      };
+      monitor.runCheck = async function(repo, lock) {
+        checks.push(lock.lastPushId);
+      };
+    });
+
+    test('skips repositories leased by others', async function() {
+      held = false;
+      await monitor.tryCheck(monitor.list.try);
+      assert.deepEqual(checks, []);
+    });
+
+    test('refreshes push id when acquiring lease', async function() {
+      await monitor.tryCheck(monitor.list.try);
+      assert.deepEqual(checks, [7]);
+      assert.ok(monitor.locks.try.leased);
+    });
+
+    test('forwards notifications to the lease holder', async function() {
+      held = false;
+      let notified = [];
+      monitor.leases.notify = async function(id) {
+        notified.push(id);
+        return true;
+      };
+
+      await monitor.tryCheck(monitor.list.try);
+      assert.deepEqual(notified, []);
+
+      await monitor.tryCheck(monitor.list.try, true);
+      assert.deepEqual(checks, []);
+      assert.deepEqual(notified, ['repository/try']);
+    });
+
+    test('checks forwarded notifications immediately', async function() {
+      monitor.list.try.pollInterval = 60000;
+      monitor.locks.try = {
+        active: false,
+        leased: true,
+        lastCheck: Date.now(),
+        lastPushId: 7
+      };
+      monitor.leases.takeNotified = async function(owner) {
+        assert.equal(owner, monitor.monitorId);
+        return ['repository/try'];
+      };
+
+      await monitor.check();
+      assert.deepEqual(checks, [7]);
+    });
+
+    test('stop() releases held leases', async function() {
+      let released = [];
+      monitor.leases.release = async function(id, owner) {
+        assert.equal(owner, monitor.monitorId);
+        released.push(id);
+        return true;
+      };
+
+      await monitor.tryCheck(monitor.list.try);
+      await monitor.stop();
+      assert.deepEqual(released, ['repository/try']);
+
+      // Stopped monitors do not acquire the lease again.
+      await monitor.tryCheck(monitor.list.try);
+      assert.deepEqual(checks, [7]);
+    });
+  });
+
+  test('updateRepository() resets idle locks', function() {
+    monitor.locks.try = { active: false, lastPushId: 10, syncedPushId: 10 };
+    monitor.updateRepository({ id: 'try', url: 'x', lastPushId: 2 });
+    assert.equal(monitor.locks.try.lastPushId, 2);
+    assert.equal(monitor.list.try.url, 'x');
+
+    monitor.removeRepository('try');
+    assert.ok(!monitor.list.try);
+    assert.ok(!monitor.locks.try);
+  });
+
+  test('updateRepository() never moves locks back to stale documents', function() {
+    monitor.locks.try = { active: false, lastPushId: 5, syncedPushId: 3 };
+
+    // A check moved the lock to 5 after the document was read...
+    monitor.updateRepository({ id: 'try', url: 'x', lastPushId: 4 });
+    assert.equal(monitor.locks.try.lastPushId, 5);
+    monitor.updateRepository({ id: 'try', url: 'x', lastPushId: 6 });
+    assert.equal(monitor.locks.try.lastPushId, 6);
+
+    // Resets made while a check is running apply once it is done.
+    monitor.locks.try.active = true;
+    monitor.updateRepository({ id: 'try', url: 'x', lastPushId: 1 });
+    assert.equal(monitor.locks.try.lastPushId, 6);
+    monitor.locks.try.active = false;
+    monitor.updateRepository({ id: 'try', url: 'x', lastPushId: 1 });
+    assert.equal(monitor.locks.try.lastPushId, 1);
+  });
+
+  test('fetchRepositories() synchronizes the list', async function() {
+    let docs = [
+      { id: 'try', url: 'https://hg.mozilla.org/try/', alias: 'renamed', lastPushId: 3 },
+      { id: 'new', url: 'https://hg.mozilla.org/new/', lastPushId: 0 }
+    ];
+    monitor.repos = { find: async () => docs };
+    monitor.list.gone = { id: 'gone', url: 'https://hg.mozilla.org/gone/' };
+    monitor.locks.gone = { active: false, lastPushId: 1 };
+    monitor.locks.try = { active: true, lastPushId: 5 };
+
+    await monitor.fetchRepositories();
+    assert.deepEqual(Object.keys(monitor.list).sort(), ['new', 'try']);
+    assert.equal(monitor.list.try.alias, 'renamed');
+    assert.ok(!monitor.locks.gone);
+    // In progress checks keep their state...
+    assert.equal(monitor.locks.try.lastPushId, 5);
+  });
+
+  suite('notify()', function() {
+    test('unknown repository', function() {
+      assert.equal(monitor.notify('https://hg.mozilla.org/nope/'), false);
+    });
+
+    test('runs a check immediately', async function() {
+      monitor.runCheck = async function(repo) {
+        checks.push(repo.id);
+      };
+      assert.ok(monitor.notify('https://hg.mozilla.org/try'));
+      await Promise.resolve();
+      assert.deepEqual(checks, ['try']);
+    });
+
+    test('rechecks when notified during a check', async function() {
+      let finish;
+      monitor.runCheck = function(repo) {
+        checks.push(repo.id);
+        return new Promise(accept => finish = accept);
+      };
+
+      let running = monitor.tryCheck(monitor.list.try);
+      assert.ok(monitor.notify('https://hg.mozilla.org/try/'));
+      await new Promise(accept => setTimeout(accept, 10));
+      assert.deepEqual(checks, ['try']);
+
+      finish();
+      // Allow the second check to begin then let it finish too...
+      await new Promise(accept => setTimeout(accept, 10));
+      assert.deepEqual(checks, ['try', 'try']);
+      finish();
+      await running;
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import { createServer, verifySignature } from '../../src/pushlog/webhook';
+
+suite('pushlog/webhook', function() {
+  let server, notified;
+  setup(function() {
+    notified = [];
+    let monitor = {
+      notify(url) {
+        notified.push(url);
+        return url.indexOf('unknown') === -1;
+      }
+    };
+    server = createServer(monitor, { port: 0, secret: 'sekret' });
+  });
+
+  function sign(body, secret = 'sekret', algorithm = 'sha256') {
+    let hmac = crypto.createHmac(algorithm, secret).update(body).digest('hex');
+    return `${algorithm}=${hmac}`;
+  }
+
+  // Post the payload signed with the given secret.
+  function inject(payload, secret = 'sekret') {
+    let body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    let headers = {
+      'content-type': 'application/json',
+      'x-hub-signature-256': sign(body, secret)
+    };
+
+    return new Promise((accept) => {
+      server.inject({ method: 'POST', url: '/pushes', payload: body, headers }, accept);
+    });
+  }
+
+  test('verifySignature()', function() {
+    let body = new Buffer('{"url":"x"}');
+    assert.ok(verifySignature('sekret', { 'x-hub-signature-256': sign(body) }, body));
+    assert.ok(verifySignature('sekret', { 'x-hub-signature': sign(body, 'sekret', 'sha1') }, body));
+    assert.ok(!verifySignature('sekret', { 'x-hub-signature-256': sign(body, 'wrong') }, body));
+    assert.ok(!verifySignature('sekret', { 'x-hub-signature-256': 'sha256=' }, body));
+    assert.ok(!verifySignature('sekret', {}, body));
+  });
+
+  test('notify with url', async function() {
+    let res = await inject({ url: 'https://hg.mozilla.org/try/' });
+    assert.equal(res.statusCode, 202);
+    assert.deepEqual(notified, ['https://hg.mozilla.org/try/']);
+  });
+
+  test('notify with github payload', async function() {
+    let res = await inject({
+      ref: 'refs/heads/master',
+      repository: { html_url: 'https://github.com/mozilla/gecko-dev' }
+    });
+    assert.equal(res.statusCode, 202);
+    assert.deepEqual(notified, ['https://github.com/mozilla/gecko-dev']);
+  });
+
+  test('invalid signature', async function() {
+    let res = await inject({ url: 'https://hg.mozilla.org/try/' }, 'wrong');
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(notified, []);
+  });
+
+  test('missing signature', async function() {
+    let res = await new Promise((accept) => {
+      server.inject({
+        method: 'POST',
+        url: '/pushes?secret=sekret',
+        payload: { url: 'https://hg.mozilla.org/try/' }
+      }, accept);
+    });
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(notified, []);
+  });
+
+  test('invalid payload', async function() {
+    let res = await inject({ nope: true });
+    assert.equal(res.statusCode, 400);
+
+    res = await inject('{ nope');
+    assert.equal(res.statusCode, 400);
+  });
+
+  test('unknown repository', async function() {
+    let res = await inject({ url: 'https://hg.mozilla.org/unknown/' });
+    assert.equal(res.statusCode, 404);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from 'assert';
+import yaml from 'js-yaml';
+import mustache from 'mustache';
+import render from '../../src/try/jsone';
+import {
+  describeTemplateError,
+  formatTemplateError
+} from '../../src/try/errors';
+
+suite('try/errors', function() {
+  function errorFrom(fn) {
+    try {
+      fn();
+    } catch (e) {
+      return e;
+    }
+    throw new Error('Expected an error');
+  }
+
+  test('yaml errors', function() {
+    let err = errorFrom(() => yaml.safeLoad('a: b\n  c: [d\n'));
+    assert.deepEqual(describeTemplateError(err), {
+      message: 'bad indentation of a mapping entry',
+      line: 2,
+      column: 4
+    });
+  });
+
+  test('mustache errors', function() {
+    let template = 'a: b\nc: {{#x}}\n';
+    let err = errorFrom(() => mustache.render(template, {}));
+    assert.deepEqual(describeTemplateError(err, template), {
+      message: 'Unclosed section "x"',
+      line: 3,
+      column: 1
+    });
+  });
+
+  test('JSON-e errors', function() {
+    let err = errorFrom(() => render({ a: ['${nope}'] }, {}));
+    assert.deepEqual(describeTemplateError(err), {
+      message: 'Unknown context value nope (at template.a[0])'
+    });
+  });
+
+  test('formatTemplateError', function() {
+    assert.equal(
+      formatTemplateError('http://x/.taskcluster.yml', {
+        message: 'bad', line: 2, column: 4
+      }),
+      'http://x/.taskcluster.yml:2:4: bad'
+    );
+
+    assert.equal(
+      formatTemplateError('http://x/.taskcluster.yml', { message: 'bad' }),
+      'http://x/.taskcluster.yml: bad'
+    );
+  });
+});
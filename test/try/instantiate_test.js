@@ -10,6 +10,7 @@ import {
   parseTime,
   relativeTime
 } from '../../src/try/instantiate'
+import { parseTrySyntax } from '../../src/try/syntax';
 
 let debug = Debug('test:try:instantiate');
 
@@ -66,6 +67,68 @@ suite('instantiate', function() {
     assert.equal(parseTime('2d0h').hours, 0);
   });
 
+  test('parseTime seconds, weeks, months and years', function() {
+    assert.deepEqual(parseTime('1y 2mo 3w 4d 5h 6m 7s'), {
+      years: 1, months: 2, weeks: 3, days: 4, hours: 5, minutes: 6, seconds: 7
+    });
+    assert.equal(parseTime('1 year').years, 1);
+    assert.equal(parseTime('2 yrs').years, 2);
+    assert.equal(parseTime('3 months').months, 3);
+    assert.equal(parseTime('3mo').months, 3);
+    assert.equal(parseTime('2 weeks').weeks, 2);
+    assert.equal(parseTime('2wk').weeks, 2);
+    assert.equal(parseTime('30 seconds').seconds, 30);
+    assert.equal(parseTime('30 sec').seconds, 30);
+    // m is always minutes...
+    assert.equal(parseTime('3m').minutes, 3);
+    assert.equal(parseTime('3m').months, 0);
+  });
+
+  test('parseTime negative offsets', function() {
+    let time = parseTime('- 1 day 2 hours');
+    assert.equal(time.days, -1);
+    assert.equal(time.hours, -2);
+    assert.equal(time.minutes, 0);
+    assert.equal(parseTime('+1 day').days, 1);
+  });
+
+  test('parseTime errors', function() {
+    assert.throws(() => parseTime(''), /Invalid time expression ""/);
+    assert.throws(() => parseTime('  '), /Invalid time expression/);
+    assert.throws(() => parseTime('1 fortnight'), /Invalid time expression "1 fortnight"/);
+    assert.throws(() => parseTime('2 hours 1 day'), /expected something like/);
+    assert.throws(() => parseTime('-'), /Invalid time expression/);
+    assert.throws(() => parseTime(5), /must be a string/);
+  });
+
+  test('relativeTime calendar months and years', function() {
+    let to = new Date('2016-01-31T12:00:00.000Z');
+    assert.equal(
+      relativeTime(parseTime('1 month'), to).toJSON(),
+      '2016-02-29T12:00:00.000Z'
+    );
+    assert.equal(
+      relativeTime(parseTime('1 year 1 month'), to).toJSON(),
+      '2017-02-28T12:00:00.000Z'
+    );
+    assert.equal(
+      relativeTime(parseTime('-2 months'), to).toJSON(),
+      '2015-11-30T12:00:00.000Z'
+    );
+    assert.equal(
+      relativeTime(parseTime('1 year'), new Date('2016-02-29T00:00:00.000Z')).toJSON(),
+      '2017-02-28T00:00:00.000Z'
+    );
+    assert.equal(
+      relativeTime(parseTime('1w 1d 1h 1m 1s'), to).toJSON(),
+      '2016-02-08T13:01:01.000Z'
+    );
+    assert.equal(
+      relativeTime(parseTime('-30 seconds'), to).toJSON(),
+      '2016-01-31T11:59:30.000Z'
+    );
+  });
+
   test('relativeTime', function() {
     let d1 = new Date();
     let d2 = new Date(d1.getTime());
@@ -74,6 +137,169 @@ suite('instantiate', function() {
     assert(d3.getTime() === d2.getTime(), "Wrong date");
   });
 
+  let options = {
+    owner:         'user@example.com',
+    source:        'http://localhost/unit-test',
+    comment:       'try: -b o',
+    project:       'try',
+    level:         '2',
+    revision:      'REVISION',
+    revision_hash: 'RESULTSET',
+    pushlog_id:    '1',
+    url:           'http://xfoobar.com',
+    importScopes:  true
+  };
+
+  test('instantiate versioned (JSON-e) template', function() {
+    let template = [
+      'version: 1',
+      'tasks:',
+      '  - taskId: {$eval: "as_slugid(\'decision\')"}',
+      '    task:',
+      '      scopes:',
+      '        - "queue:route:test.${repository.project}.${push.revision}"',
+      '      deadline: {$fromNow: "1 day"}',
+      '      extra:',
+      '        owner: "${push.owner}"',
+      '        level: {$eval: "number(repository.level)"}',
+      '        opt:',
+      '          $if: "\'-b o\' in push.comment"',
+      '          then: "optimized"',
+      '  - $if: "tasks_for == \'hg-push\'"',
+      '    then:',
+      '      taskId: {$eval: "as_slugid(\'decision\')"}',
+      '      task: {}'
+    ].join('\n');
+
+    let graph = instantiate(template, options);
+    assert.equal(graph.version, 1);
+    assert.equal(graph.tasks.length, 2);
+    assert.equal(graph.tasks[0].taskId, graph.tasks[1].taskId);
+
+    let task = graph.tasks[0].task;
+    assert.deepEqual(task.extra, {
+      owner: 'user@example.com',
+      level: 2,
+      opt: 'optimized'
+    });
+    assert.ok(new Date(task.deadline) > new Date());
+    assert.deepEqual(graph.scopes, ['queue:route:test.try.REVISION']);
+  });
+
+  test('instantiate with try syntax', function() {
+    let trySyntax = parseTrySyntax('try: -b do -p linux64,win32 -u none');
+    let withTry = Object.assign({}, options, { try: trySyntax });
+
+    let jsone = [
+      'version: 1',
+      'builds: {$eval: "try.builds"}',
+      'linux:',
+      '  $if: "\'linux64\' in try.platforms"',
+      '  then: true'
+    ].join('\n');
+    assert.deepEqual(instantiate(jsone, withTry), {
+      version: 1,
+      builds: ['debug', 'opt'],
+      linux: true
+    });
+    assert.equal(instantiate(jsone.split('\n')[0], options).try, undefined);
+
+    let legacy = 'platforms: "{{#try.platforms}}{{.}} {{/try.platforms}}"';
+    assert.deepEqual(instantiate(legacy, withTry), {
+      platforms: 'linux64 win32 '
+    });
+  });
+
+  test('instantiate with changed files', function() {
+    let withFiles = Object.assign({}, options, { files: ['a.js', 'b/c.js'] });
+
+    let jsone = 'version: 1\nfiles: {$eval: "push.files"}';
+    assert.deepEqual(instantiate(jsone, withFiles).files, ['a.js', 'b/c.js']);
+    assert.deepEqual(instantiate(jsone, options).files, []);
+
+    let legacy = 'files: "{{#files}}{{{.}}} {{/files}}"';
+    assert.deepEqual(instantiate(legacy, withFiles), { files: 'a.js b/c.js ' });
+  });
+
+  test('instantiate with every changeset of the push', function() {
+    let withPush = Object.assign({}, options, {
+      pushdate: 1464739200,
+      base_revision: 'BASE',
+      changesets: [
+        { node: 'FIRST', author: 'a <a@example.com>', desc: 'one', files: ['a.js'], branch: 'default' },
+        { node: 'REVISION', author: 'b <b@example.com>', desc: 'try: -b o', files: [], branch: 'default' }
+      ]
+    });
+
+    let jsone = [
+      'version: 1',
+      'nodes: {$map: {$eval: "push.changesets"}, each(c): "${c.node}"}',
+      'date: {$eval: "push.pushdate"}',
+      'base: {$eval: "push.base_revision"}'
+    ].join('\n');
+    assert.deepEqual(instantiate(jsone, withPush), {
+      version: 1,
+      nodes: ['FIRST', 'REVISION'],
+      date: 1464739200,
+      base: 'BASE'
+    });
+    assert.deepEqual(instantiate(jsone, options), {
+      version: 1,
+      nodes: [],
+      base: null
+    });
+
+    let legacy = 'authors: "{{#changesets}}{{{author}}}, {{/changesets}}{{pushdate}} {{base_revision}}"';
+    assert.deepEqual(instantiate(legacy, withPush), {
+      authors: 'a <a@example.com>, b <b@example.com>, 1464739200 BASE'
+    });
+
+    let invalid = Object.assign({}, options, { changesets: [{ desc: 'no node' }] });
+    assert.throws(() => instantiate(legacy, invalid), /node/);
+  });
+
+  test('instantiate again with the same time and slugids', function() {
+    let slugids = {};
+    let again = Object.assign({}, options, {
+      now: '2016-06-01T00:00:00.000Z',
+      slugids
+    });
+
+    let jsone = [
+      'version: 1',
+      'id: {$eval: "as_slugid(\'decision\')"}',
+      'deadline: {$fromNow: "1 day"}'
+    ].join('\n');
+    let first = instantiate(jsone, again);
+    assert.equal(first.id, slugids.decision);
+    assert.equal(first.deadline, '2016-06-02T00:00:00.000Z');
+    assert.deepEqual(instantiate(jsone, again), first);
+
+    let legacy = [
+      'id: "{{#as_slugid}}decision{{/as_slugid}}"',
+      'deadline: "{{#from_now}}1 day{{/from_now}}"'
+    ].join('\n');
+    assert.deepEqual(instantiate(legacy, again), {
+      id: slugids.decision,
+      deadline: '2016-06-02T00:00:00.000Z'
+    });
+  });
+
+  test('instantiate legacy template with version 0', function() {
+    let template = [
+      'version: 0',
+      'metadata:',
+      '  owner: "{{owner}}"',
+      '  source: "${notjsone}"'
+    ].join('\n');
+
+    let graph = instantiate(template, options);
+    assert.deepEqual(graph.metadata, {
+      owner: 'user@example.com',
+      source: '${notjsone}'
+    });
+  });
+
   test('instantiate task-graph.yml', async function() {
     // Load input file
     let input = fs.readFileSync(
@@ -0,0 +1,153 @@
+import assert from 'assert';
+import {
+  default as render,
+  evaluateExpression,
+  TemplateError
+} from '../../src/try/jsone';
+
+suite('try/jsone', function() {
+  let context = {
+    now: '2016-01-01T00:00:00.000Z',
+    push: { owner: 'user@example.com', revision: 'abcdef123456', level: 3 },
+    list: [1, 2, 3],
+    names: ['a', 'b'],
+    double: x => x * 2
+  };
+
+  function evaluates(expression, expected) {
+    assert.deepEqual(evaluateExpression(expression, context), expected, expression);
+  }
+
+  function fails(template, pattern) {
+    assert.throws(() => render(template, context), (err) => {
+      return err instanceof TemplateError && pattern.test(err.message);
+    });
+  }
+
+  test('expressions', function() {
+    evaluates('1 + 2 * 3', 7);
+    evaluates('(1 + 2) * 3', 9);
+    evaluates('2 ** 3 ** 2', 512);
+    evaluates('-list[0] + 10 / 4', 1.5);
+    evaluates('"a" + \'b\'', 'ab');
+    evaluates('push.level >= 3 && !false', true);
+    evaluates('push.level < 3 || push.owner == "user@example.com"', true);
+    evaluates('push["owner"]', 'user@example.com');
+    evaluates('push.missing', null);
+    evaluates('list[-1]', 3);
+    evaluates('list[1:]', [2, 3]);
+    evaluates('push.revision[:6]', 'abcdef');
+    evaluates('2 in list', true);
+    evaluates('"owner" in push', true);
+    evaluates('"ex" in push.owner', true);
+    evaluates('[1, "x", {a: list[0]}]', [1, 'x', { a: 1 }]);
+    evaluates('double(len(names))', 4);
+    evaluates('uppercase(join(names, "-"))', 'A-B');
+    evaluates('defined("push") && !defined("nope")', true);
+    evaluates('fromNow("1 day", now)', '2016-01-02T00:00:00.000Z');
+  });
+
+  test('expression errors', function() {
+    assert.throws(() => evaluateExpression('nope', context), /Unknown context value nope/);
+    assert.throws(() => evaluateExpression('1 +', context), /Expected a value/);
+    assert.throws(() => evaluateExpression('1 2', context), /end of expression/);
+    assert.throws(() => evaluateExpression('1 + "a"', context), /Operator \+/);
+    assert.throws(() => evaluateExpression('list[5]', context), /out of bounds/);
+  });
+
+  test('interpolation', function() {
+    assert.equal(
+      render('${push.owner} at ${push.revision[:4]} ($${literal})', context),
+      'user@example.com at abcd (${literal})'
+    );
+    assert.deepEqual(render({ 'key-${names[0]}': 1 }, context), { 'key-a': 1 });
+    fails('${list}', /Cannot interpolate array/);
+  });
+
+  test('$eval, $json, $let', function() {
+    assert.deepEqual(render({ $eval: 'list' }, context), [1, 2, 3]);
+    assert.equal(render({ $json: { a: '${push.level}' } }, context), '{"a":"3"}');
+    assert.equal(
+      render({ $let: { x: 2, y: { $eval: 'push.level' } }, in: { $eval: 'x * y' } }, context),
+      6
+    );
+  });
+
+  test('$if and $switch', function() {
+    let template = {
+      always: true,
+      high: { $if: 'push.level > 2', then: 'yes', else: 'no' },
+      removed: { $if: 'push.level > 5', then: 'yes' },
+      list: ['a', { $if: 'false', then: 'b' }, 'c'],
+      which: { $switch: { 'push.level == 1': 'one', $default: 'other' } }
+    };
+
+    assert.deepEqual(render(template, context), {
+      always: true,
+      high: 'yes',
+      list: ['a', 'c'],
+      which: 'other'
+    });
+  });
+
+  test('$map', function() {
+    assert.deepEqual(
+      render({ $map: { $eval: 'list' }, 'each(x,i)': { $eval: 'x * 10 + i' } }, context),
+      [10, 21, 32]
+    );
+
+    assert.deepEqual(
+      render({
+        $map: { a: 1, b: 2 },
+        'each(y)': { '${y.key}-mapped': { $eval: 'y.val' } }
+      }, context),
+      { 'a-mapped': 1, 'b-mapped': 2 }
+    );
+  });
+
+  test('array and object operators', function() {
+    assert.deepEqual(render({ $flatten: [[1], [2, [3]]] }, context), [1, 2, [3]]);
+    assert.deepEqual(render({ $flattenDeep: [[1], [2, [3]]] }, context), [1, 2, 3]);
+    assert.deepEqual(render({ $reverse: { $eval: 'list' } }, context), [3, 2, 1]);
+    assert.deepEqual(
+      render({ $merge: [{ a: 1, b: { c: 1 } }, { b: { d: 2 } }] }, context),
+      { a: 1, b: { d: 2 } }
+    );
+    assert.deepEqual(
+      render({ $mergeDeep: [{ a: [1], b: { c: 1 } }, { a: [2], b: { d: 2 } }] }, context),
+      { a: [1, 2], b: { c: 1, d: 2 } }
+    );
+    assert.deepEqual(render({ $$eval: 'x' }, context), { $eval: 'x' });
+  });
+
+  test('$fromNow', function() {
+    assert.equal(
+      render({ $fromNow: '2 hours' }, context),
+      '2016-01-01T02:00:00.000Z'
+    );
+    assert.equal(
+      render({ $fromNow: '1 minute', from: '2016-02-01T00:00:00.000Z' }, context),
+      '2016-02-01T00:01:00.000Z'
+    );
+  });
+
+  test('fromNow() is relative to now', function() {
+    evaluates('fromNow("1 day")', '2016-01-02T00:00:00.000Z');
+
+    let template = { deadline: '${fromNow("1 day")}', expires: { $fromNow: '1 year' } };
+    assert.deepEqual(render(template, context), render(template, context));
+  });
+
+  test('context keys shadowing hasOwnProperty', function() {
+    let shadowed = { hasOwnProperty: 1, push: { hasOwnProperty: 2 } };
+    assert.equal(evaluateExpression('hasOwnProperty + push.hasOwnProperty', shadowed), 3);
+    assert.equal(evaluateExpression('defined("push")', shadowed), true);
+    assert.deepEqual(render({ $if: 'true', then: 'x' }, shadowed), 'x');
+  });
+
+  test('errors include their location', function() {
+    fails({ tasks: [{ task: { name: '${nope}' } }] }, /at template\.tasks\[0\]\.task\.name/);
+    fails({ $unknown: true }, /Unknown operator \$unknown/);
+    fails({ $eval: 'list', extra: true }, /undefined properties: extra/);
+  });
+});
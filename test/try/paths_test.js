@@ -0,0 +1,91 @@
+import assert from 'assert';
+import {
+  globToRegExp,
+  validatePaths,
+  changedFiles,
+  evaluatePaths
+} from '../../src/try/paths';
+
+suite('try/paths', function() {
+  function matches(glob, path) {
+    return globToRegExp(glob).test(path);
+  }
+
+  test('globToRegExp', function() {
+    assert.ok(matches('README', 'README'));
+    assert.ok(!matches('README', 'docs/README'));
+    assert.ok(matches('*.md', 'README.md'));
+    assert.ok(!matches('*.md', 'docs/README.md'));
+    assert.ok(matches('**/*.md', 'README.md'));
+    assert.ok(matches('**/*.md', 'docs/a/README.md'));
+    assert.ok(matches('browser/**', 'browser/base/content/browser.js'));
+    assert.ok(!matches('browser/**', 'toolkit/browser/x.js'));
+    assert.ok(matches('dom/**/test_*.html', 'dom/base/test/test_x.html'));
+    assert.ok(matches('file?.js', 'file1.js'));
+    assert.ok(!matches('file?.js', 'file/.js'));
+    assert.ok(matches('**/*.{cpp,h}', 'gfx/layers/Layer.h'));
+    assert.ok(!matches('**/*.{cpp,h}', 'gfx/layers/Layer.hpp'));
+    assert.ok(!matches('a.b', 'axb'));
+  });
+
+  test('globToRegExp unbalanced braces', function() {
+    assert.throws(() => globToRegExp('**/*.{js'), /Unbalanced braces/);
+  });
+
+  test('validatePaths', function() {
+    validatePaths({});
+    validatePaths({ paths: ['browser/**'], ignorePaths: ['**/*.{md,txt}'] });
+    assert.throws(
+      () => validatePaths({ ignorePaths: ['docs/**', '*.{md'] }, 'try.projects.x'),
+      /^Error: try\.projects\.x\.ignorePaths: Unbalanced braces in glob "\*\.\{md"/
+    );
+  });
+
+  test('changedFiles', function() {
+    assert.deepEqual(
+      changedFiles([
+        { files: ['a.js', 'b.js'] },
+        { files: ['b.js', 'c.js'] },
+        {}
+      ]),
+      ['a.js', 'b.js', 'c.js']
+    );
+  });
+
+  test('evaluatePaths without configuration', function() {
+    assert.equal(evaluatePaths({}, ['a.js']), null);
+  });
+
+  test('evaluatePaths without files', function() {
+    assert.equal(evaluatePaths({ paths: ['browser/**'] }, []), null);
+  });
+
+  test('evaluatePaths paths', function() {
+    let config = { paths: ['browser/**', 'toolkit/**'] };
+    assert.equal(evaluatePaths(config, ['docs/x.md', 'toolkit/y.js']), null);
+    assert.deepEqual(evaluatePaths(config, ['docs/x.md']), {
+      rule: 'paths',
+      pattern: 'browser/**, toolkit/**',
+      reason: 'no changed file matches'
+    });
+  });
+
+  test('evaluatePaths ignorePaths', function() {
+    let config = { ignorePaths: ['**/*.md'] };
+    assert.equal(evaluatePaths(config, ['docs/x.md', 'y.js']), null);
+    assert.deepEqual(evaluatePaths(config, ['docs/x.md', 'README.md']), {
+      rule: 'ignorePaths',
+      pattern: '**/*.md',
+      reason: 'every changed file is ignored'
+    });
+  });
+
+  test('evaluatePaths ignored files do not count towards paths', function() {
+    let config = { paths: ['browser/**'], ignorePaths: ['**/*.md'] };
+    assert.equal(evaluatePaths(config, ['browser/x.js', 'README.md']), null);
+    assert.equal(
+      evaluatePaths(config, ['browser/README.md', 'toolkit/x.js']).rule,
+      'paths'
+    );
+  });
+});
@@ -0,0 +1,86 @@
+import assert from 'assert';
+import {
+  evaluateSkipRules,
+  validateSkipRules
+} from '../../src/try/skip_rules';
+
+suite('try/skip_rules', function() {
+  function resultset(comment, files = [], author = 'user@mozilla.com') {
+    return {
+      author,
+      revisions: [
+        { comment: 'first', files: files.slice(0, 1) },
+        { comment, files: files.slice(1) }
+      ]
+    };
+  }
+
+  function rule(rules, set) {
+    let skip = evaluateSkipRules(rules, set);
+    return skip && skip.rule;
+  }
+
+  test('no rules', function() {
+    assert.equal(evaluateSkipRules({}, resultset('Bug 1 - xfoo')), null);
+  });
+
+  test('DONTBUILD is always skipped', function() {
+    let expected = {
+      rule: 'DONTBUILD',
+      pattern: 'DONTBUILD',
+      reason: 'commit message matches'
+    };
+    assert.deepEqual(evaluateSkipRules({}, resultset('Bug 1 - DONTBUILD')), expected);
+    assert.deepEqual(evaluateSkipRules({
+      messages: { exclude: 'CLOSED TREE', include: 'Bug' }
+    }, resultset('Bug 1 - DONTBUILD')), expected);
+
+    // Only the last commit message is checked...
+    assert.equal(rule({}, {
+      revisions: [{ comment: 'DONTBUILD' }, { comment: 'build me' }]
+    }), null);
+  });
+
+  test('message rules', function() {
+    let rules = { messages: { include: ['try:', '^Bug'], exclude: 'CLOSED TREE' } };
+    assert.equal(rule(rules, resultset('try: -b o')), null);
+    assert.equal(rule(rules, resultset('Bug 1 - xfoo')), null);
+    assert.equal(rule(rules, resultset('xfoo')), 'messages.include');
+    assert.equal(rule(rules, resultset('try: CLOSED TREE')), 'messages.exclude');
+  });
+
+  test('file rules', function() {
+    let rules = { files: { exclude: ['^docs/', '\\.md$'] } };
+    assert.equal(rule(rules, resultset('x', ['docs/a.rst', 'README.md'])), 'files.exclude');
+    assert.equal(rule(rules, resultset('x', ['docs/a.rst', 'browser/a.js'])), null);
+    // Without any known files the file rules do not apply...
+    assert.equal(rule(rules, resultset('x', [])), null);
+
+    rules = { files: { include: '^browser/' } };
+    assert.equal(rule(rules, resultset('x', ['docs/a', 'browser/a.js'])), null);
+    assert.equal(rule(rules, resultset('x', ['docs/a', 'mobile/a.js'])), 'files.include');
+  });
+
+  test('author rules', function() {
+    let rules = { authors: { allow: '@mozilla\\.com$', deny: ['^l10n'] } };
+    assert.equal(rule(rules, resultset('x')), null);
+    assert.equal(rule(rules, resultset('x', [], 'l10n@mozilla.com')), 'authors.deny');
+    assert.equal(rule(rules, resultset('x', [], 'user@example.com')), 'authors.allow');
+  });
+
+  test('invalid patterns', function() {
+    assert.throws(
+      () => evaluateSkipRules({ messages: { exclude: '(' } }, resultset('x')),
+      /Invalid pattern for skip rule messages.exclude "\("/
+    );
+  });
+
+  test('validateSkipRules()', function() {
+    validateSkipRules({ messages: { exclude: 'DONTBUILD' } });
+    validateSkipRules({ files: { include: ['^a/', 'b$'] }, authors: {} });
+    assert.throws(
+      () => validateSkipRules({ files: { include: ['^a/', '['] } }, 'try.skip'),
+      /^Error: try.skip: Invalid pattern for skip rule files.include "\["/
+    );
+  });
+});
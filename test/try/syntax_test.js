@@ -0,0 +1,90 @@
+import assert from 'assert';
+import { parseTrySyntax, tryMessage } from '../../src/try/syntax';
+
+suite('try/syntax', function() {
+  test('tryMessage()', function() {
+    assert.equal(tryMessage('no try here'), null);
+    assert.equal(tryMessage('Bug 1\ntry: -b o\nmore'), 'try: -b o');
+    assert.equal(tryMessage('xfoo try: -b d'), 'try: -b d');
+  });
+
+  test('no try syntax', function() {
+    assert.equal(parseTrySyntax('Bug 1 - fix things'), null);
+  });
+
+  test('full syntax', function() {
+    let result = parseTrySyntax(
+      'Bug 1 - xfoo\n' +
+      'try: -b do -p linux64,win32 -u mochitest-1,reftest -t none --rebuild 3\n' +
+      'more'
+    );
+
+    assert.deepEqual(result, {
+      message: 'try: -b do -p linux64,win32 -u mochitest-1,reftest -t none --rebuild 3',
+      builds: ['debug', 'opt'],
+      platforms: ['linux64', 'win32'],
+      unittests: ['mochitest-1', 'reftest'],
+      talos: [],
+      jobs: [],
+      rebuild: 3,
+      flags: {
+        rebuildTalos: 0,
+        tag: null,
+        setenv: [],
+        noRetry: false,
+        artifact: false
+      },
+      unknown: [],
+      errors: []
+    });
+  });
+
+  test('long flags and extra flags', function() {
+    let result = parseTrySyntax(
+      'try: --build=o --platform all --unittests=all --talos chromez ' +
+      '--rebuild-talos 2 --tag xfoo --setenv A=1 --setenv B=2 --no-retry ' +
+      '--artifact -j lint'
+    );
+
+    assert.deepEqual(result.builds, ['opt']);
+    assert.deepEqual(result.platforms, ['all']);
+    assert.deepEqual(result.unittests, ['all']);
+    assert.deepEqual(result.talos, ['chromez']);
+    assert.deepEqual(result.jobs, ['lint']);
+    assert.equal(result.rebuild, 1);
+    assert.deepEqual(result.flags, {
+      rebuildTalos: 2,
+      tag: 'xfoo',
+      setenv: ['A=1', 'B=2'],
+      noRetry: true,
+      artifact: true
+    });
+    assert.deepEqual(result.unknown, []);
+    assert.deepEqual(result.errors, []);
+  });
+
+  test('platform restrictions', function() {
+    let result = parseTrySyntax(
+      'try: -b o -p win32 -u mochitest-1[Windows XP,Windows 7],reftest[x]'
+    );
+    assert.deepEqual(result.unittests, [
+      'mochitest-1[Windows XP,Windows 7]',
+      'reftest[x]'
+    ]);
+    assert.deepEqual(result.unknown, []);
+  });
+
+  test('unknown flags and invalid values', function() {
+    let result = parseTrySyntax(
+      'try: -b x -p linux64 --xfoo stray --rebuild many -u'
+    );
+
+    assert.deepEqual(result.platforms, ['linux64']);
+    assert.deepEqual(result.unknown, ['--xfoo', 'stray']);
+    assert.deepEqual(result.errors, [
+      '-b expects some combination of "d" and "o" not "x"',
+      '--rebuild expects a number not "many"',
+      '-u requires a value'
+    ]);
+  });
+});
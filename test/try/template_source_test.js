@@ -0,0 +1,192 @@
+import assert from 'assert';
+import Hapi from 'hapi';
+import denodeify from 'denodeify';
+import fs from 'mz/fs';
+import os from 'os';
+import path from 'path';
+import {
+  fetchUrl, fetchTemplate, mirrorUrl, TemplateCache, TemplateFetchError
+} from '../../src/try/template_source';
+
+suite('try/template_source', function() {
+  const PORT = 60112;
+  const HOST = `http://localhost:${PORT}`;
+  const OPTIONS = { retries: 2, interval: 1, timeout: 1000 };
+
+  let server, requests, failures;
+  suiteSetup(async function() {
+    server = new Hapi.Server();
+    server.connection({ port: PORT });
+    server.route({
+      method: 'GET',
+      path: '/{path*}',
+      handler(request, reply) {
+        let path = request.params.path;
+        requests.push(path);
+        if (path.indexOf('missing') !== -1) return reply('nope').code(404);
+        if (path.indexOf('gone') !== -1) return reply('gone').code(410);
+        if (path.indexOf('forbidden') !== -1) return reply('no').code(403);
+        if (path.indexOf('down') !== -1) return reply('down').code(500);
+        if (path.indexOf('flaky') !== -1 && failures-- > 0) {
+          return reply('flaky').code(503);
+        }
+        reply(`contents of ${path}`);
+      }
+    });
+    await denodeify(server.start.bind(server))();
+  });
+
+  suiteTeardown(async function() {
+    await denodeify(server.stop.bind(server))();
+  });
+
+  let dir;
+  setup(async function() {
+    requests = [];
+    failures = 1;
+    dir = path.join(os.tmpdir(), `template-source-${Date.now()}`);
+    await fs.mkdir(dir);
+    await fs.mkdir(path.join(dir, 'try'));
+    await fs.writeFile(path.join(dir, 'try', 'down.yml'), 'mirrored');
+  });
+
+  teardown(async function() {
+    await fs.unlink(path.join(dir, 'try', 'down.yml'));
+    await fs.rmdir(path.join(dir, 'try'));
+    await fs.rmdir(dir);
+  });
+
+  test('fetchUrl()', async function() {
+    assert.equal(await fetchUrl(`${HOST}/try/x.yml`, OPTIONS), 'contents of try/x.yml');
+    assert.equal(await fetchUrl(`${HOST}/try/missing.yml`, OPTIONS), null);
+    assert.deepEqual(requests, ['try/x.yml', 'try/missing.yml']);
+  });
+
+  test('fetchUrl() retries server errors', async function() {
+    assert.equal(
+      await fetchUrl(`${HOST}/try/flaky.yml`, OPTIONS),
+      'contents of try/flaky.yml'
+    );
+    assert.deepEqual(requests, ['try/flaky.yml', 'try/flaky.yml']);
+
+    try {
+      await fetchUrl(`${HOST}/try/down.yml`, OPTIONS);
+    } catch (err) {
+      assert.equal(requests.length, 4);
+      return;
+    }
+    throw new Error('Expected an error');
+  });
+
+  test('fetchUrl() does not retry permanent client errors', async function() {
+    assert.equal(await fetchUrl(`${HOST}/try/gone.yml`, OPTIONS), null);
+
+    try {
+      await fetchUrl(`${HOST}/try/forbidden.yml`, OPTIONS);
+    } catch (err) {
+      assert.ok(err.permanent);
+      assert.deepEqual(requests, ['try/gone.yml', 'try/forbidden.yml']);
+      return;
+    }
+    throw new Error('Expected an error');
+  });
+
+  test('fetchUrl() file://', async function() {
+    assert.equal(await fetchUrl(`file://${dir}/try/down.yml`), 'mirrored');
+    assert.equal(await fetchUrl(`file://${dir}/try/missing.yml`), null);
+  });
+
+  test('mirrorUrl()', function() {
+    assert.equal(
+      mirrorUrl('https://hg.mozilla.org/try/raw-file/abc/x.yml', 'file:///srv/hg/'),
+      'file:///srv/hg/try/raw-file/abc/x.yml'
+    );
+  });
+
+  test('TemplateCache', function() {
+    let cache = new TemplateCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    assert.equal(cache.get('a'), 1);
+    cache.set('c', 3);
+    // b was the least recently used...
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+  });
+
+  test('fetchTemplate() falls back on 404', async function() {
+    let result = await fetchTemplate(
+      [`${HOST}/try/missing.yml`, `${HOST}/try/fallback.yml`], OPTIONS
+    );
+    assert.deepEqual(result, {
+      url: `${HOST}/try/fallback.yml`,
+      text: 'contents of try/fallback.yml'
+    });
+  });
+
+  test('fetchTemplate() does not fall back on errors', async function() {
+    try {
+      await fetchTemplate(
+        [`${HOST}/try/down.yml`, `${HOST}/try/fallback.yml`], OPTIONS
+      );
+    } catch (err) {
+      assert.ok(err instanceof TemplateFetchError);
+      assert.ok(requests.indexOf('try/fallback.yml') === -1);
+      return;
+    }
+    throw new Error('Expected an error');
+  });
+
+  test('fetchTemplate() does not use mirrors for permanent errors', async function() {
+    try {
+      await fetchTemplate([`${HOST}/try/forbidden.yml`], Object.assign({
+        mirrors: [`file://${dir}`]
+      }, OPTIONS));
+    } catch (err) {
+      assert.ok(err instanceof TemplateFetchError);
+      assert.deepEqual(requests, ['try/forbidden.yml']);
+      return;
+    }
+    throw new Error('Expected an error');
+  });
+
+  test('fetchTemplate() uses mirrors', async function() {
+    let result = await fetchTemplate([`${HOST}/try/down.yml`], Object.assign({
+      mirrors: [`${HOST}/missing`, `file://${dir}`]
+    }, OPTIONS));
+    assert.deepEqual(result, { url: `${HOST}/try/down.yml`, text: 'mirrored' });
+  });
+
+  test('fetchTemplate() caches by repository, revision and path', async function() {
+    let cache = new TemplateCache();
+    let options = Object.assign({
+      cache, repository: 'https://hg.mozilla.org/try/', revision: 'abc'
+    }, OPTIONS);
+
+    let first = await fetchTemplate([`${HOST}/try/x.yml`], options);
+    let second = await fetchTemplate([`${HOST}/try/x.yml`], options);
+    assert.deepEqual(first, second);
+    assert.deepEqual(requests, ['try/x.yml']);
+
+    await fetchTemplate(
+      [`${HOST}/try/x.yml`], Object.assign({}, options, { revision: 'def' })
+    );
+    assert.deepEqual(requests, ['try/x.yml', 'try/x.yml']);
+  });
+
+  test('fetchTemplate() caches templates which do not exist', async function() {
+    let options = Object.assign({
+      cache: new TemplateCache(),
+      repository: 'https://hg.mozilla.org/try/',
+      revision: 'abc'
+    }, OPTIONS);
+    let urls = [`${HOST}/try/missing.yml`, `${HOST}/try/x.yml`];
+
+    let first = await fetchTemplate(urls, options);
+    let second = await fetchTemplate(urls, options);
+    assert.deepEqual(first, second);
+    assert.equal(second.url, `${HOST}/try/x.yml`);
+    assert.deepEqual(requests, ['try/missing.yml', 'try/x.yml']);
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import {
+  validateTemplate,
+  validateGraph,
+  validateRelativeTimes
+} from '../../src/try/validate';
+
+suite('try/validate', function() {
+  let variables = {
+    owner: 'user@example.com',
+    source: 'http://localhost/unit-test',
+    comment: 'try: -b o',
+    project: 'try',
+    level: '1',
+    revision: 'REVISION',
+    revision_hash: 'RESULTSET',
+    pushlog_id: '1',
+    url: 'http://xfoobar.com',
+    importScopes: true
+  };
+
+  function fixture(name) {
+    return fs.readFileSync(
+      path.join(__dirname, '..', 'fixtures', 'try', name), 'utf8'
+    );
+  }
+
+  test('valid template', function() {
+    let { graph, errors } = validateTemplate(fixture('task_graph.yml'), variables);
+    assert.deepEqual(errors, []);
+    assert.equal(graph.tasks.length, 3);
+  });
+
+  test('reports every error in the graph', function() {
+    let errors = validateGraph({
+      scopes: ['a', 1],
+      tasks: [
+        {
+          taskId: 'a',
+          task: {
+            provisionerId: 'test',
+            created: '2016-01-02T00:00:00.000Z',
+            deadline: '2016-01-03T00:00:00.000Z',
+            payload: {},
+            metadata: { name: 'x', description: 'x', owner: 'x', source: 'x' }
+          }
+        },
+        {
+          task: {
+            provisionerId: 'test',
+            workerType: 'test',
+            created: '2016-01-02T00:00:00.000Z',
+            deadline: '2016-01-01T00:00:00.000Z',
+            payload: {},
+            metadata: { name: 'x', description: 'x', owner: 'x', source: 'x' }
+          }
+        }
+      ]
+    });
+
+    assert.deepEqual(errors.map(error => error.path), [
+      'scopes[1]',
+      'metadata',
+      'tasks[0].task.workerType',
+      'tasks[1].taskId',
+      'tasks[1].task.deadline'
+    ]);
+  });
+
+  test('reports invalid relative times', function() {
+    let text = [
+      'created: "{{#from_now}}1 day{{/from_now}}"',
+      'deadline: "{{#from_now}}1 fortnight{{/from_now}}"',
+      'tasks:',
+      '  - expires: {$fromNow: "soon"}',
+      '  - expires: {$fromNow: "${later}"}'
+    ].join('\n');
+
+    let errors = validateRelativeTimes(text);
+    assert.deepEqual(errors.map(error => error.path), [
+      'line 2',
+      'tasks[0].expires.$fromNow'
+    ]);
+
+    // Only the relative time errors are reported when rendering fails...
+    assert.deepEqual(validateTemplate(text, variables).errors, errors);
+  });
+
+  test('reports render errors with their position', function() {
+    let { graph, errors } = validateTemplate('a: b\n  c: d\n', variables);
+    assert.ok(!graph);
+    assert.deepEqual(errors, [{
+      path: 'template:2:4',
+      message: 'bad indentation of a mapping entry'
+    }]);
+  });
+});